@@ -5,57 +5,412 @@
  * Orchestrates Antigravity Proxy + Claude Code CLI
  *
  * Commands:
+ *   vertexhub setup    - Find or install antigravity-proxy and check its version
  *   vertexhub login    - Login with Google OAuth via Antigravity
- *   vertexhub start    - Start proxy + launch Claude Code
+ *   vertexhub start    - Start proxy + launch Claude Code (--daemon: proxy only)
+ *   vertexhub stop     - Stop the proxy started by VertexHub
+ *   vertexhub restart  - Restart the proxy in the background
  *   vertexhub status   - Check proxy health and account status
- *   vertexhub accounts - List linked Google accounts
- *   vertexhub models   - List available models
+ *   vertexhub ps       - List running proxy instances
+ *   vertexhub usage    - Show remaining quota per account and model
+ *   vertexhub doctor   - Diagnose problems and suggest (or apply) fixes
+ *   vertexhub logs     - Show (or follow) the proxy log
+ *   vertexhub accounts - List, add, remove, verify, disable and enable Google accounts
+ *   vertexhub models   - List models, select models and profiles
+ *   vertexhub ping     - Send a test request to a model and measure latency
+ *   vertexhub strategy - Show or change the proxy's account-selection strategy
+ *   vertexhub config   - View or change VertexHub settings
+ *   vertexhub mock-proxy - Run a local mock proxy for offline use
+ *   vertexhub restore  - Restore the Claude Code settings VertexHub changed
+ *   vertexhub uninstall - Stop the proxy, restore settings and remove state
+ *   vertexhub completion - Print a shell completion script
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
-import { existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync } from 'fs';
-import { spawn, execSync } from 'child_process';
-import { homedir } from 'os';
+import { existsSync, readFileSync, chmodSync, statSync, rmSync, openSync, closeSync, readSync, mkdirSync } from 'fs';
+import { spawn, execSync, execFileSync } from 'child_process';
+import { hostname, userInfo } from 'os';
+import { createInterface } from 'readline';
+import { randomUUID } from 'crypto';
+import * as api from '../lib/index.js';
+import {
+    DEFAULT_PORT, DEFAULT_HOST,
+    CONFIG_SCHEMA, MODEL_SLOTS, BUILTIN_PROFILES, DEFAULT_INSTANCE, PROXY_STRATEGIES, HOOK_EVENTS,
+    sanitizePort, sanitizePath, sanitizeModelId, sanitizeEmail, sanitizeStrategy,
+    isPlainObject, setConfigPath, loadConfigFile, saveConfigFile, resolveConfig,
+    validateConfigData, sanitizeProfileName, getProfiles, getProfileOverrides,
+    getNodeBin, findBinary, normalizeAccounts, getAccountQuotas, readClaudeSettingsSummary,
+    readProxyState, removeProxyState, isProcessAlive, isTrackedProxyProcess,
+    appendProxyLogMarker, getProxyLogSize, parseSince, readProxyLogLines, VertexHubError,
+    createMockProxy, loadMockFixture, SUPPORTED_PROXY_VERSIONS, getConfigPath, OAUTH_CALLBACK_PORT, parseOAuthCallbackUrl, forwardOAuthCallback,
+} from '../lib/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// --- Config ---
-const PROXY_DIR = resolve(join(__dirname, '..', '..', 'antigravity-proxy'));
-const DEFAULT_PORT = '8090';
-const PROXY_PORT = sanitizePort(process.env.VERTEXHUB_PORT) || DEFAULT_PORT;
-const PROXY_URL = `http://127.0.0.1:${PROXY_PORT}`;
-const CLAUDE_CONFIG_DIR = join(homedir(), '.claude');
-const CLAUDE_SETTINGS_FILE = join(CLAUDE_CONFIG_DIR, 'settings.json');
-const CLAUDE_JSON_FILE = join(homedir(), '.claude.json');
+const {
+    configDir: VERTEXHUB_CONFIG_DIR, configFile: VERTEXHUB_CONFIG_FILE, stateDir: VERTEXHUB_STATE_DIR,
+    claudeBackupFile: CLAUDE_BACKUP_FILE, claudeSettingsFile: CLAUDE_SETTINGS_FILE, claudeJsonFile: CLAUDE_JSON_FILE,
+    proxyInstallDir: PROXY_INSTALL_DIR,
+} = api.getPaths();
+
+// --- Command Line ---
+
+/** Options accepted by every command. Keys are the names used in `cli.options`. */
+const GLOBAL_OPTIONS = {
+    port: { flag: '--port', value: '<port>', description: 'Proxy port (overrides VERTEXHUB_PORT and the config file)' },
+    proxyDir: { flag: '--proxy-dir', value: '<dir>', description: 'antigravity-proxy checkout to use' },
+    instance: { flag: '--instance', value: '<name>', description: 'Named proxy instance (own port, accounts and state)' },
+    noProject: { flag: '--no-project', description: `Ignore the project's ${api.PROJECT_CONFIG_FILE_NAME}` },
+    verbose: { flag: '--verbose', short: '-v', description: 'Print extra diagnostic output' },
+    quiet: { flag: '--quiet', short: '-q', description: 'Only print errors and command output' },
+    noColor: { flag: '--no-color', description: 'Disable coloured output (also: NO_COLOR=1)' },
+    help: { flag: '--help', short: '-h', description: 'Show help for a command' },
+};
+
+const JSON_OPTION = { flag: '--json', description: 'Print machine-readable JSON on stdout' };
+
+/**
+ * Command specs: options, usage and help text. Dispatch stays in the switch
+ * at the bottom of this file. `positionals: true` lets a command take
+ * non-option arguments; `passthrough: true` allows `-- <args...>`.
+ */
+const COMMANDS = {
+    setup: {
+        summary: 'Find or install antigravity-proxy and check its version',
+        usage: ['vertexhub setup', 'vertexhub setup <path|tarball>'],
+        positionals: true,
+        options: {
+            force: { flag: '--force', description: 'Use the proxy even if its version is not supported' },
+            noInstall: { flag: '--no-install', description: "Do not run npm install for the proxy's dependencies" },
+        },
+        details: () => [
+            'Without an argument, looks for a checkout in the configured proxyDir, next to',
+            `VertexHub, in ${PROXY_INSTALL_DIR}, in ~/antigravity-proxy and in the global npm packages.`,
+            `A .tgz/.tar.gz release is unpacked into ${PROXY_INSTALL_DIR}.`,
+            'The chosen location is saved as proxyDir in the config file.',
+            '',
+            `Supported antigravity-proxy versions: ${SUPPORTED_PROXY_VERSIONS}`,
+        ],
+    },
+    login: {
+        summary: 'Link a Google account via OAuth',
+        usage: ['vertexhub login', 'vertexhub login --callback-url <url>'],
+        options: {
+            callbackUrl: {
+                flag: '--callback-url',
+                value: '<url>',
+                description: 'Hand a copied http://localhost:.../oauth-callback URL to a waiting login',
+            },
+            isolated: { flag: '--isolated', description: 'Do not write ~/.claude (for use with start --isolated)' },
+        },
+        details: () => [
+            'On a remote or headless machine the Google redirect cannot reach the',
+            'login listener. Either paste the redirect URL at the prompt, run',
+            '`vertexhub login --callback-url <url>` from a second shell on the',
+            'server, or open the SSH tunnel that `vertexhub login` prints.',
+        ],
+    },
+    start: {
+        summary: 'Start proxy + launch Claude Code (--daemon: proxy only)',
+        usage: ['vertexhub start [options] [-- <claude args...>]'],
+        passthrough: true,
+        options: {
+            daemon: { flag: '--daemon', description: 'Start only the proxy, in the background' },
+            profile: { flag: '--profile', value: '<name>', description: 'Use a model profile (e.g. fast, deep)' },
+            noSupervise: { flag: '--no-supervise', description: 'Do not restart the proxy if it crashes' },
+            cwd: { flag: '--cwd', value: '<dir>', description: 'Run Claude Code in <dir>' },
+            mock: { flag: '--mock', description: 'Use the built-in mock proxy (no accounts or network)' },
+            fixture: { flag: '--fixture', value: '<file>', description: 'Mock proxy fixture (implies --mock)' },
+            meter: { flag: '--meter', description: 'Record the token usage of this session (see: usage --since)' },
+            noMeter: { flag: '--no-meter', description: 'Do not record token usage, even if metering is on in the config' },
+            isolated: { flag: '--isolated', description: 'Leave ~/.claude untouched: use a VertexHub-owned Claude Code config' },
+            autoPort: { flag: '--auto-port', description: 'If another program holds the port, use a free one for this session' },
+        },
+        details: () => [
+            'Arguments after -- are passed to claude unchanged, e.g.:',
+            `  ${c.dim}vertexhub start -- --resume${c.reset}`,
+            '',
+            'With metering on, Claude Code talks to a local pass-through that forwards',
+            'everything to the proxy and records the usage of each response.',
+            '',
+            `A ${api.PROJECT_CONFIG_FILE_NAME} in the working directory (or a parent) applies to this session only:`,
+            `  ${c.dim}{ "profile": "fast", "models": { "main": "claude-sonnet-4-5" }, "env": { "NAME": "value" },${c.reset}`,
+            `  ${c.dim}  "instance": "web", "port": 8095, "claudeArgs": ["--verbose"] }${c.reset}`,
+            'claudeArgs are used when no arguments are given after --.',
+            '',
+            `With --isolated (or ${c.dim}vertexhub config set isolated true${c.reset}) the proxy and model settings`,
+            'reach Claude Code only through its environment and a config directory owned by',
+            'VertexHub, so direct Anthropic API sessions can keep using ~/.claude side by side.',
+            '',
+            'A port held by anything that does not answer /health like the proxy is never',
+            'stopped: start fails, or with --auto-port uses the next free port instead.',
+            '',
+            'Hooks run a shell command with the event details as JSON on stdin. Set one per event',
+            `(${HOOK_EVENTS.join(', ')}):`,
+            `  ${c.dim}vertexhub config set hooks.session-ended 'cat >> ~/vertexhub-sessions.jsonl'${c.reset}`,
+            'Their output goes to the proxy log (vertexhub logs).',
+        ],
+    },
+    stop: {
+        summary: 'Stop the proxy started by VertexHub',
+        usage: ['vertexhub stop'],
+        options: {},
+    },
+    restart: {
+        summary: 'Restart the proxy in the background',
+        usage: ['vertexhub restart'],
+        options: {},
+    },
+    usage: {
+        summary: 'Show remaining quota (--watch) or recorded token usage (--since, --by)',
+        usage: [
+            'vertexhub usage [--watch] [--interval <seconds>]',
+            'vertexhub usage --since <time> [--by model|session|day]',
+            'vertexhub usage --json',
+        ],
+        options: {
+            watch: { flag: '--watch', short: '-w', description: 'Refresh in place until Ctrl+C' },
+            interval: { flag: '--interval', value: '<seconds>', description: 'Refresh interval for --watch (default: 5)' },
+            since: { flag: '--since', value: '<time>', description: 'Report recorded token usage since 7d, 12h or an ISO date' },
+            by: { flag: '--by', value: '<group>', description: 'Group recorded usage by model (default), session or day' },
+            json: JSON_OPTION,
+        },
+        details: () => [
+            'With --watch, accounts whose quota dropped since the previous refresh are',
+            `marked with ${c.yellow}▼${c.reset}, showing which account the proxy is currently drawing from.`,
+            '',
+            `Token usage is only recorded for sessions started with ${c.dim}vertexhub start --meter${c.reset}`,
+            `(or with ${c.dim}vertexhub config set metering true${c.reset}).`,
+        ],
+    },
+    status: {
+        summary: 'Check proxy health and config',
+        usage: ['vertexhub status [--json]'],
+        options: { json: JSON_OPTION },
+    },
+    ps: {
+        summary: 'List running proxy instances (PID, port, uptime, health)',
+        usage: ['vertexhub ps [--all] [--json]'],
+        options: {
+            all: { flag: '--all', short: '-a', description: 'Also list instances that are not running' },
+            json: JSON_OPTION,
+        },
+        details: () => [
+            `Start a named instance with ${c.dim}vertexhub start --instance <name>${c.reset}; it gets its own`,
+            'port (recorded under "instances" in the config file), account store, state file',
+            `and log. Pass ${c.dim}--instance <name>${c.reset} to stop, status, logs, login, etc. to target it.`,
+        ],
+    },
+    doctor: {
+        summary: 'Diagnose problems (--fix applies safe fixes)',
+        usage: ['vertexhub doctor [--fix]'],
+        options: {
+            fix: { flag: '--fix', description: 'Apply the fixes that are safe to automate' },
+        },
+    },
+    logs: {
+        summary: 'Show proxy logs (--follow, --lines N, --since 10m)',
+        usage: ['vertexhub logs [--follow] [--lines <n>] [--since <time>]'],
+        options: {
+            follow: { flag: '--follow', short: '-f', description: 'Keep printing new lines as they are written' },
+            lines: { flag: '--lines', short: '-n', value: '<n>', description: 'Number of lines to show (default: 50)' },
+            since: { flag: '--since', value: '<time>', description: 'Only lines newer than 30s, 10m, 2h, 7d or an ISO date' },
+        },
+    },
+    accounts: {
+        summary: 'Manage linked Google accounts',
+        usage: [
+            'vertexhub accounts [list] [--json]   List linked accounts',
+            'vertexhub accounts add               Link another Google account (like login)',
+            'vertexhub accounts remove <email>    Unlink an account',
+            'vertexhub accounts verify [email]    Check that an account (default: all) works',
+            'vertexhub accounts disable <email>   Stop using an account without unlinking it',
+            'vertexhub accounts enable <email>    Use a disabled account again',
+        ],
+        positionals: true,
+        options: { json: JSON_OPTION },
+        details: () => [
+            'add, remove, disable and enable stop a running proxy and start it again afterwards:',
+            'the proxy keeps its accounts in memory and would overwrite the change. A proxy that',
+            'belongs to a running start session is left alone; stop that session first.',
+            'verify asks the proxy, starting it for the check if it is stopped.',
+        ],
+    },
+    models: {
+        summary: 'List models, select models and profiles',
+        usage: [
+            'vertexhub models                        List models available on the proxy',
+            'vertexhub models use <id> [--slot <s>]  Set a model slot (default: main, or "all")',
+            'vertexhub models profiles               List model profiles',
+            'vertexhub models profile use <name>     Apply a profile to the config file',
+            'vertexhub models profile save <name>    Save the current models as a profile',
+            'vertexhub models profile delete <name>  Delete a saved profile',
+        ],
+        positionals: true,
+        options: {
+            json: JSON_OPTION,
+            slot: { flag: '--slot', value: '<slot>', description: `Slot for models use: ${MODEL_SLOTS.join(', ')} or all` },
+            noVerify: { flag: '--no-verify', description: "Skip checking IDs against the proxy's /v1/models" },
+        },
+    },
+    ping: {
+        summary: 'Smoke-test models through the proxy and measure latency',
+        usage: [
+            'vertexhub ping [<model>] [--repeat <n>]',
+            'vertexhub ping --all [--repeat <n>]',
+            'vertexhub ping <model> --json',
+        ],
+        positionals: true,
+        options: {
+            all: { flag: '--all', short: '-a', description: 'Ping every model listed by the proxy' },
+            repeat: { flag: '--repeat', short: '-n', value: '<n>', description: 'Requests per model, reported as percentiles (default: 1)' },
+            timeout: { flag: '--timeout', value: '<seconds>', description: 'Give up on one request after this long (default: 60)' },
+            json: JSON_OPTION,
+        },
+        details: () => [
+            'Sends a tiny streaming /v1/messages request and reports the HTTP status, time',
+            'to first token (TTFT), total latency and output tokens per second. Without a',
+            'model, the configured main model is used. Exits with status 1 if any request',
+            'fails, so it can gate scripts before a long session.',
+        ],
+    },
+    strategy: {
+        summary: 'Show or change how the proxy picks accounts',
+        usage: ['vertexhub strategy [--json]', 'vertexhub strategy <name>'],
+        positionals: true,
+        options: { json: JSON_OPTION },
+        details: () => [
+            `${c.bold}Strategies:${c.reset}`,
+            ...Object.entries(PROXY_STRATEGIES).map(([name, description]) => `  ${name.padEnd(12)} ${description}`),
+            `  ${'default'.padEnd(12)} Whatever the proxy's own configuration says`,
+            '',
+            'The choice is saved in the config file (key: strategy) and used by every start.',
+            'A proxy running in the background is restarted with it right away.',
+        ],
+    },
+    config: {
+        summary: 'View or change VertexHub settings',
+        usage: [
+            'vertexhub config list              Show effective values and their source',
+            'vertexhub config get <key>         Print one effective value',
+            'vertexhub config set <key> <value> Save a value to the config file',
+            'vertexhub config unset <key>       Remove a value from the config file',
+            'vertexhub config validate          Check the config file for errors',
+            'vertexhub config path              Print the config file location',
+        ],
+        positionals: true,
+        options: {},
+        details: () => [
+            `${c.bold}Keys:${c.reset}`,
+            ...Object.entries(CONFIG_SCHEMA).map(([k, spec]) =>
+                `  ${c.cyan}${k.padEnd(24)}${c.reset} ${spec.description}${spec.env ? ` ${c.dim}(${spec.env})${c.reset}` : ''}`),
+        ],
+    },
+    'mock-proxy': {
+        summary: 'Run a local mock proxy in the foreground (offline demos and tests)',
+        usage: ['vertexhub mock-proxy [--fixture <file>]'],
+        options: {
+            fixture: { flag: '--fixture', value: '<file>', description: 'JSON fixture with the responses to serve' },
+        },
+        details: () => [
+            'Serves /health, /account-limits, /v1/models and a canned /v1/messages',
+            '(JSON or streaming) on the configured host and port. A fixture replaces any of',
+            'the top-level keys health, accountLimits, models and messages, e.g.:',
+            `  ${c.dim}{ "messages": { "text": "Hello from the fixture", "chunkSize": 4, "delayMs": 50 } }${c.reset}`,
+            '',
+            `Use ${c.dim}vertexhub start --mock${c.reset} to run it in place of the real proxy.`,
+        ],
+    },
+    restore: {
+        summary: 'Put back the Claude Code settings VertexHub changed',
+        usage: ['vertexhub restore'],
+        options: {},
+    },
+    uninstall: {
+        summary: 'Stop the proxy, restore settings, remove state (--purge: config too)',
+        usage: ['vertexhub uninstall [--purge]'],
+        options: {
+            purge: { flag: '--purge', description: 'Also remove the config directory' },
+        },
+    },
+    completion: {
+        summary: 'Print a shell completion script (bash, zsh or fish)',
+        usage: ['vertexhub completion <bash|zsh|fish>'],
+        positionals: true,
+        options: {
+            models: { flag: '--models', description: "Print the proxy's model IDs, one per line (used by the scripts)" },
+        },
+        details: () => [
+            `${c.bold}Install:${c.reset}`,
+            `  bash  ${c.dim}vertexhub completion bash > ~/.local/share/bash-completion/completions/vertexhub${c.reset}`,
+            `  zsh   ${c.dim}vertexhub completion zsh > "\${fpath[1]}/_vertexhub"${c.reset}`,
+            `  fish  ${c.dim}vertexhub completion fish > ~/.config/fish/completions/vertexhub.fish${c.reset}`,
+            '',
+            'Model IDs are completed from the running proxy (models use, ping, config set).',
+        ],
+    },
+    help: {
+        summary: 'Show this help',
+        usage: ['vertexhub help [command]'],
+        positionals: true,
+        options: {},
+    },
+};
+
+const cli = parseCommandLine(process.argv.slice(2));
+const CONFIG_FLAGS = getConfigFlags(cli);
+// The port --auto-port picked, if any. It lives in config.values for this
+// process only, never in CONFIG_FLAGS, so shared config keeps the configured port
+let sessionPort = null;
+
+const { project: PROJECT, error: PROJECT_ERROR } = loadProject(cli);
 
-// Track child processes for cleanup
+const config = resolveConfig(CONFIG_FLAGS, { project: PROJECT });
+const INSTANCE = config.values.instance;
+const INSTANCE_PATHS = api.getInstancePaths(INSTANCE);
+const PROXY_DIR = config.values.proxyDir;
+const PROXY_HOST = config.values.host;
+// Not const: a new instance's claimed port or `start --auto-port` can move them
+let PROXY_PORT = config.values.port;
+let PROXY_URL = `http://${PROXY_HOST}:${PROXY_PORT}`;
+
+// In --json mode stdout carries only the JSON document; human messages go to stderr
+const jsonMode = !!cli.options.json;
+const verbose = !!cli.options.verbose;
+const quiet = !!cli.options.quiet;
+
+/** Version of the --json output schema (see buildStatusReport). */
+const JSON_SCHEMA_VERSION = 1;
+
+// Track child processes and the session's --settings file for cleanup
 const childProcesses = [];
+let sessionSettingsFile = null;
 
-// --- Security Helpers ---
+// --- Model Profiles ---
 
 /**
- * Sanitize port value to prevent injection.
- * Only allows numeric strings in valid port range.
+ * Check model IDs against the proxy's /v1/models list. Exits with a list of
+ * unknown IDs, or if the list cannot be fetched (unless `verify` is false).
  */
-function sanitizePort(port) {
-    if (!port) return null;
-    const num = parseInt(port, 10);
-    if (isNaN(num) || num < 1 || num > 65535 || String(num) !== port.trim()) {
-        return null;
+async function requireKnownModels(ids, { verify = true } = {}) {
+    if (!verify) return;
+
+    const models = await getModels();
+    if (!models?.data || !Array.isArray(models.data)) {
+        err(`Cannot verify model IDs: could not fetch models from ${PROXY_URL}.`);
+        err('Start the proxy (vertexhub start --daemon) or pass --no-verify.');
+        process.exit(1);
     }
-    return String(num);
-}
 
-/**
- * Write a file with restricted permissions (owner-only read/write).
- * Prevents other users from reading sensitive config like auth tokens.
- */
-function writeFileSecure(filePath, content) {
-    writeFileSync(filePath, content, { mode: 0o600 });
-    // Ensure permissions even if file existed with different perms
-    try { chmodSync(filePath, 0o600); } catch { /* ignore if chmod fails */ }
+    const available = new Set(models.data.map(m => String(m.id)));
+    const unknown = [...new Set(ids)].filter(id => !available.has(id));
+    if (unknown.length > 0) {
+        for (const id of unknown) err(`Unknown model: ${sanitizeForTerminal(id)}`);
+        err('Run: vertexhub models   to see the available IDs.');
+        process.exit(1);
+    }
 }
 
 /**
@@ -63,15 +418,17 @@ function writeFileSecure(filePath, content) {
  * Prevents spawning processes from unintended directories.
  */
 function validateProxyDir() {
-    if (!existsSync(PROXY_DIR)) {
-        err(`Proxy directory not found: ${PROXY_DIR}`);
-        err('Clone the antigravity-proxy repo next to this project.');
-        process.exit(1);
-    }
-    const indexPath = join(PROXY_DIR, 'src', 'index.js');
-    if (!existsSync(indexPath)) {
-        err(`Proxy entry point not found: ${indexPath}`);
-        err('The antigravity-proxy directory appears corrupted.');
+    try {
+        api.checkProxyDir(PROXY_DIR);
+    } catch (e) {
+        if (!(e instanceof api.ProxyDirError)) throw e;
+        err(e.message);
+        if (e.code === 'PROXY_DIR_NOT_FOUND') {
+            err('Find or install it with: vertexhub setup [<path|tarball>]');
+            err('Or point VertexHub at an existing checkout: vertexhub config set proxyDir /path/to/antigravity-proxy');
+        } else {
+            err('The antigravity-proxy directory appears corrupted.');
+        }
         process.exit(1);
     }
 }
@@ -89,6 +446,10 @@ const c = {
     cyan: '\x1b[36m',
 };
 
+if (cli.options.noColor || process.env.NO_COLOR) {
+    for (const key of Object.keys(c)) c[key] = '';
+}
+
 /**
  * Strip control characters from a string to prevent terminal escape injection.
  * Preserves printable ASCII + extended Unicode but removes ESC, BEL, etc.
@@ -97,37 +458,212 @@ function sanitizeForTerminal(str) {
     return String(str).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, '');
 }
 
-function log(msg) { console.log(`${c.cyan}[VertexHub]${c.reset} ${msg}`); }
-function ok(msg) { console.log(`${c.green}✓${c.reset} ${msg}`); }
-function warn(msg) { console.log(`${c.yellow}⚠${c.reset} ${msg}`); }
+const out = (msg) => (jsonMode ? console.error(msg) : console.log(msg));
+
+function log(msg) { if (!quiet) out(`${c.cyan}[VertexHub]${c.reset} ${msg}`); }
+function ok(msg) { if (!quiet) out(`${c.green}✓${c.reset} ${msg}`); }
+function warn(msg) { if (!quiet) out(`${c.yellow}⚠${c.reset} ${msg}`); }
 function err(msg) { console.error(`${c.red}✗${c.reset} ${msg}`); }
+function debug(msg) { if (verbose) console.error(`${c.dim}[debug] ${msg}${c.reset}`); }
+
+function printBanner(title, color) {
+    if (quiet) return;
+    const width = 38;
+    const left = Math.floor((width - title.length) / 2);
+    console.log(`
+${c.bold}${color}╔${'═'.repeat(width)}╗
+║${' '.repeat(left)}${title}${' '.repeat(width - left - title.length)}║
+╚${'═'.repeat(width)}╝${c.reset}
+`);
+}
 
 // --- Helpers ---
 
+function findOption(flag, command) {
+    const specs = { ...GLOBAL_OPTIONS, ...(COMMANDS[command]?.options || {}) };
+    return Object.entries(specs).find(([, spec]) => spec.flag === flag || spec.short === flag) || null;
+}
+
 /**
- * Find node binary. Tries system PATH first, then NVM.
- * Returns absolute path or 'node' if available on PATH.
+ * Parse argv (without node and script path) against GLOBAL_OPTIONS and the
+ * command's own options. Supports `--opt value`, `--opt=value`, short aliases
+ * and `--` pass-through. Problems are returned in `error` rather than thrown,
+ * so the caller can report them in the right format (text or --json).
  */
-function getNodeBin() {
-    // Try system node first
-    try {
-        const result = execSync('which node', { stdio: 'pipe', encoding: 'utf-8', timeout: 5000 }).trim();
-        if (result) return result;
-    } catch { /* not on PATH */ }
+function parseCommandLine(argv) {
+    const result = { command: null, options: {}, positionals: [], passthrough: [], error: null };
 
-    // Try NVM
-    const nvmDir = join(homedir(), '.nvm');
-    if (existsSync(nvmDir)) {
-        try {
-            const result = execSync(
-                `bash -c 'export NVM_DIR="$HOME/.nvm" && source "$NVM_DIR/nvm.sh" && which node'`,
-                { stdio: 'pipe', encoding: 'utf-8', timeout: 10000 }
-            ).trim();
-            if (result && existsSync(result)) return result;
-        } catch { /* NVM not available */ }
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const spec = COMMANDS[result.command];
+
+        if (arg === '--') {
+            if (!spec?.passthrough) {
+                result.error = `${result.command ? `"vertexhub ${result.command}"` : 'This command'} does not accept arguments after --`;
+            } else {
+                result.passthrough = argv.slice(i + 1);
+            }
+            break;
+        }
+
+        if (arg.startsWith('-') && arg !== '-') {
+            const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+            const flag = eq === -1 ? arg : arg.slice(0, eq);
+            const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+            const found = findOption(flag, result.command);
+
+            if (!found) {
+                result.error = `Unknown option: ${flag}${result.command ? ` for "vertexhub ${result.command}"` : ''}`;
+                break;
+            }
+
+            const [key, option] = found;
+            if (option.value) {
+                let value = inline;
+                if (value === undefined) {
+                    const next = argv[i + 1];
+                    if (next === undefined || (next.startsWith('-') && next !== '-')) {
+                        result.error = `${flag} requires a value ${option.value}`;
+                        break;
+                    }
+                    value = next;
+                    i++;
+                }
+                result.options[key] = value;
+            } else if (inline !== undefined) {
+                result.error = `${flag} does not take a value`;
+                break;
+            } else {
+                result.options[key] = true;
+            }
+            continue;
+        }
+
+        if (result.command === null) {
+            result.command = arg;
+        } else if (spec && !spec.positionals) {
+            result.error = `Unexpected argument for "vertexhub ${result.command}": ${arg}`;
+            break;
+        } else {
+            result.positionals.push(arg);
+        }
     }
 
-    return null;
+    return result;
+}
+
+/**
+ * Turn --port / --proxy-dir into config flag overrides. Unlike env vars, an
+ * invalid flag is an error rather than silently falling back.
+ */
+function getConfigFlags(parsed) {
+    const flags = {};
+    if (parsed.options.port !== undefined) {
+        flags.port = sanitizePort(parsed.options.port);
+        if (flags.port === null && !parsed.error) {
+            parsed.error = `Invalid --port: ${parsed.options.port} (expected ${CONFIG_SCHEMA.port.hint})`;
+        }
+    }
+    if (parsed.options.proxyDir !== undefined) {
+        flags.proxyDir = sanitizePath(resolve(parsed.options.proxyDir));
+        if (flags.proxyDir === null && !parsed.error) {
+            parsed.error = `Invalid --proxy-dir: ${parsed.options.proxyDir}`;
+        }
+    }
+    if (parsed.options.instance !== undefined) {
+        flags.instance = api.sanitizeInstanceName(parsed.options.instance);
+        if (flags.instance === null && !parsed.error) {
+            parsed.error = `Invalid --instance: ${parsed.options.instance} (expected ${CONFIG_SCHEMA.instance.hint})`;
+        }
+    }
+    return flags;
+}
+
+function formatOptions(options) {
+    return Object.values(options).map((option) => {
+        const names = [option.short, option.flag].filter(Boolean).join(', ');
+        const label = option.value ? `${names} ${option.value}` : names;
+        return `  ${c.cyan}${label.padEnd(22)}${c.reset} ${option.description}`;
+    }).join('\n');
+}
+
+function printCommandHelp(name) {
+    const spec = COMMANDS[name];
+    const options = Object.keys(spec.options).length > 0
+        ? `\n${c.bold}Options:${c.reset}\n${formatOptions(spec.options)}\n`
+        : '';
+    const details = spec.details ? `\n${spec.details().join('\n')}\n` : '';
+
+    console.log(`
+${c.bold}vertexhub ${name}${c.reset} — ${spec.summary}
+
+${c.bold}Usage:${c.reset}
+${spec.usage.map(line => `  ${line}`).join('\n')}
+${options}${details}
+${c.bold}Global options:${c.reset}
+${formatOptions(GLOBAL_OPTIONS)}
+`);
+}
+
+/**
+ * The project file in effect: the nearest .vertexhub.json above --cwd (or the
+ * working directory), unless --no-project is given. An invalid file comes
+ * back as `error`, to be reported once output is set up.
+ */
+function loadProject(parsed) {
+    if (parsed.options.noProject) return { project: null, error: null };
+    const file = api.findProjectConfig(parsed.options.cwd === undefined ? process.cwd() : resolve(parsed.options.cwd));
+    if (!file) return { project: null, error: null };
+    try {
+        return { project: api.loadProjectConfig(file), error: null };
+    } catch (e) {
+        if (!(e instanceof api.ProjectConfigError)) throw e;
+        return { project: null, error: e };
+    }
+}
+
+/**
+ * The first `start`, `login` or `accounts add` of a named instance gives it a
+ * port of its own (a free one above the default, unless --port or the project
+ * file says otherwise) and records it under `instances` in the config file.
+ * Called by those commands before anything else reads the port or the config.
+ * Returns the recorded port, or null when nothing was created.
+ */
+async function claimInstancePort() {
+    const { instance } = config.values;
+    if (instance === DEFAULT_INSTANCE) return null;
+
+    const file = loadConfigFile();
+    if (file.error || getConfigPath(file.data, `instances.${instance}.port`) !== undefined) return null;
+
+    const port = config.sources.port === 'flag' || config.sources.port === 'project'
+        ? config.values.port
+        : await api.allocateInstancePort({ config: config.values });
+    setConfigPath(file.data, `instances.${instance}.port`, port);
+    saveConfigFile(file.data);
+    reloadConfig();
+    PROXY_PORT = config.values.port;
+    PROXY_URL = `http://${PROXY_HOST}:${PROXY_PORT}`;
+    return port;
+}
+
+/**
+ * Where a config key lives in the file. `port` is per instance, so a named
+ * instance keeps it under `instances.<name>.port`.
+ */
+function getConfigFileKey(key) {
+    return key === 'port' && config.values.instance !== DEFAULT_INSTANCE
+        ? `instances.${config.values.instance}.port`
+        : key;
+}
+
+/**
+ * Reload config values in place (e.g. after `models use` or `--profile`).
+ * Command-line flags such as --port always stay on top.
+ */
+function reloadConfig(flags = {}) {
+    Object.assign(config, resolveConfig({ ...CONFIG_FLAGS, ...flags }, { project: PROJECT }));
+    if (sessionPort) config.values.port = sessionPort;
 }
 
 /**
@@ -144,137 +680,421 @@ function requireNodeBin() {
     return nodeBin;
 }
 
-async function isProxyRunning() {
-    try {
-        const response = await fetch(`${PROXY_URL}/health`, { signal: AbortSignal.timeout(2000) });
-        return response.ok;
-    } catch {
-        return false;
-    }
+function isProxyRunning() {
+    return api.isProxyRunning({ config: config.values });
 }
 
+/**
+ * /health and /account-limits, or null when the proxy is unreachable.
+ */
 async function getProxyStatus() {
     try {
-        const [health, limits] = await Promise.all([
-            fetch(`${PROXY_URL}/health`, { signal: AbortSignal.timeout(3000) })
-                .then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json(); }),
-            fetch(`${PROXY_URL}/account-limits`, { signal: AbortSignal.timeout(3000) })
-                .then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json(); })
-                .catch(() => null),
-        ]);
-        return { health, limits };
-    } catch {
+        return await api.getProxyStatus({ config: config.values });
+    } catch (e) {
+        if (!(e instanceof VertexHubError)) throw e;
+        debug(`Proxy status request failed: ${e.message}`);
         return null;
     }
 }
 
 async function getModels() {
     try {
-        const response = await fetch(`${PROXY_URL}/v1/models`, { signal: AbortSignal.timeout(3000) });
-        if (!response.ok) {
-            warn(`Models endpoint returned HTTP ${response.status}`);
-            return null;
-        }
-        return await response.json();
-    } catch {
+        return await api.getModels({ config: config.values });
+    } catch (e) {
+        if (!(e instanceof VertexHubError)) throw e;
+        if (e.status) warn(`Models endpoint returned HTTP ${e.status}`);
+        else debug(e.message);
         return null;
     }
 }
 
-function configureClaudeSettings() {
-    mkdirSync(CLAUDE_CONFIG_DIR, { recursive: true, mode: 0o700 });
+// --- Claude Code Settings ---
 
-    let settings = {};
-    if (existsSync(CLAUDE_SETTINGS_FILE)) {
-        try {
-            settings = JSON.parse(readFileSync(CLAUDE_SETTINGS_FILE, 'utf-8'));
-        } catch (e) {
-            warn(`Could not parse existing ${CLAUDE_SETTINGS_FILE}: ${e.message}`);
-            warn('Creating new settings file.');
+function formatSettingValue(key, value) {
+    if (value === undefined) return '(unset)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return sanitizeForTerminal(key === 'ANTHROPIC_AUTH_TOKEN' ? `${text.slice(0, 4)}…` : text);
+}
+
+/**
+ * Print the changes between two sets of key/value pairs and return how many
+ * keys differ. `undefined` on either side means the key is absent.
+ */
+function printSettingsDiff(file, before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (keys.length === 0) return 0;
+
+    out(`  ${c.bold}Changes to ${file}:${c.reset}`);
+    for (const key of keys) {
+        if (before[key] === undefined) {
+            out(`    ${c.green}+ ${key}: ${formatSettingValue(key, after[key])}${c.reset}`);
+        } else if (after[key] === undefined) {
+            out(`    ${c.red}- ${key}: ${formatSettingValue(key, before[key])}${c.reset}`);
+        } else {
+            out(`    ${c.yellow}~ ${key}: ${formatSettingValue(key, before[key])} → ${formatSettingValue(key, after[key])}${c.reset}`);
         }
     }
+    return keys.length;
+}
 
-    // Ensure settings is a plain object (defense against prototype pollution)
-    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
-        settings = {};
-    }
+/**
+ * Config values without the project file or an --auto-port session port.
+ * These are what settings.json gets: both only apply to this session.
+ */
+function getSharedConfigValues(flags = {}) {
+    return PROJECT || sessionPort ? resolveConfig({ ...CONFIG_FLAGS, ...flags }).values : config.values;
+}
 
-    settings.env = {
-        ...(settings.env || {}),
-        ANTHROPIC_AUTH_TOKEN: 'vertexhub-proxy',
-        ANTHROPIC_BASE_URL: PROXY_URL,
-        ANTHROPIC_MODEL: 'claude-opus-4-6-thinking',
-        ANTHROPIC_DEFAULT_OPUS_MODEL: 'claude-opus-4-6-thinking',
-        ANTHROPIC_DEFAULT_SONNET_MODEL: 'claude-sonnet-4-5-thinking',
-        ANTHROPIC_DEFAULT_HAIKU_MODEL: 'claude-sonnet-4-5',
-        CLAUDE_CODE_SUBAGENT_MODEL: 'claude-sonnet-4-5-thinking',
-    };
+/**
+ * Isolated mode (--isolated or the `isolated` config key): Claude Code gets
+ * its settings from VertexHub's own config directory, never from ~/.claude.
+ */
+function isIsolated() {
+    return !!cli.options.isolated || config.values.isolated === 'true';
+}
 
-    writeFileSecure(CLAUDE_SETTINGS_FILE, JSON.stringify(settings, null, 2));
-    ok(`Claude Code settings configured → ${CLAUDE_SETTINGS_FILE}`);
+function configureClaudeSettings(values = getSharedConfigValues()) {
+    const result = api.configureClaudeSettings({ config: values });
+    const { settings, claudeJson } = result;
 
-    // Ensure hasCompletedOnboarding is set
-    let claudeJson = {};
-    if (existsSync(CLAUDE_JSON_FILE)) {
-        try {
-            claudeJson = JSON.parse(readFileSync(CLAUDE_JSON_FILE, 'utf-8'));
-        } catch (e) {
-            warn(`Could not parse existing ${CLAUDE_JSON_FILE}: ${e.message}`);
-        }
+    if (settings.error) {
+        warn(`Could not parse existing ${settings.file}: ${settings.error}`);
+        warn('Created a new settings file.');
     }
+    if (result.backupFile) ok(`Backed up original Claude Code settings → ${result.backupFile}`);
 
-    if (typeof claudeJson !== 'object' || claudeJson === null || Array.isArray(claudeJson)) {
-        claudeJson = {};
-    }
+    printSettingsDiff(settings.file, settings.before, settings.after);
+    ok(`Claude Code settings ${settings.written ? 'configured' : 'up to date'} → ${settings.file}`);
 
-    if (!claudeJson.hasCompletedOnboarding) {
-        claudeJson.hasCompletedOnboarding = true;
-        writeFileSecure(CLAUDE_JSON_FILE, JSON.stringify(claudeJson, null, 2));
+    if (claudeJson.error) {
+        warn(`Could not parse existing ${claudeJson.file}: ${claudeJson.error}`);
+        warn('Leaving it untouched; Claude Code may show its onboarding screen.');
+    } else if (claudeJson.written) {
         ok('Claude Code onboarding bypassed');
     }
 }
 
-function startProxy() {
-    validateProxyDir();
-    const nodeBin = requireNodeBin();
+/**
+ * Undo configureClaudeSettings() using the backup. Returns false when there
+ * is no backup.
+ */
+function restoreClaudeSettings() {
+    let result;
+    try {
+        result = api.restoreClaudeSettings();
+    } catch (e) {
+        if (!(e instanceof api.ClaudeSettingsError)) throw e;
+        err(e.message);
+        process.exit(1);
+    }
+    if (!result) return false;
 
-    log(`Starting Antigravity proxy on port ${PROXY_PORT}...`);
+    for (const entry of [result.settings, result.claudeJson]) {
+        if (entry.error) {
+            warn(`Skipping ${entry.file}: ${entry.error}`);
+            continue;
+        }
+        printSettingsDiff(entry.file, entry.before, entry.after);
+        if (entry.action === 'removed') ok(`Removed ${entry.file} (VertexHub created it)`);
+        if (entry.action === 'restored') ok(`Restored ${entry.file}`);
+    }
+    return true;
+}
 
-    const env = { ...process.env, PORT: PROXY_PORT, HOST: '127.0.0.1' };
-    const proxyProcess = spawn(nodeBin, [join(PROXY_DIR, 'src', 'index.js')], {
-        env,
-        cwd: PROXY_DIR,
-        stdio: 'pipe',
-        detached: true,
+/**
+ * Spawn the proxy. In daemon mode it is fully detached (its output goes straight
+ * to the log file) so it survives the CLI exiting; otherwise it is torn down by
+ * cleanup() and its output is timestamped into the log by the library.
+ */
+function startProxy({ daemon = false, quiet = false, mock = null } = {}) {
+    if (!mock) validateProxyDir();
+    requireNodeBin();
+
+    if (!quiet) log(`Starting ${mock ? 'mock' : 'Antigravity'} proxy on port ${PROXY_PORT}${daemon ? ' (daemon)' : ''}...`);
+    debug(`Spawning ${mock ? api.MOCK_PROXY_ENTRY : join(PROXY_DIR, 'src', 'index.js')} (PORT=${PROXY_PORT} HOST=${PROXY_HOST})`);
+
+    const proxyProcess = api.spawnProxy({ config: config.values, daemon, mock });
+    if (!daemon) childProcesses.push(proxyProcess);
+
+    proxyProcess.on('exit', () => {
+        const index = childProcesses.indexOf(proxyProcess);
+        if (index !== -1) childProcesses.splice(index, 1);
+    });
+
+    proxyProcess.on('error', (error) => {
+        err(`Failed to start proxy: ${error.message}`);
     });
 
-    childProcesses.push(proxyProcess);
-    proxyProcess.unref();
+    if (daemon || quiet) return proxyProcess;
+
+    let stderrNoticeShown = false;
 
     proxyProcess.stdout.on('data', (data) => {
-        const line = data.toString().trim();
-        if (line.includes('Server started successfully')) {
+        if (data.toString().includes('Server started successfully')) {
             ok(`Proxy running at ${PROXY_URL}`);
         }
     });
 
     proxyProcess.stderr.on('data', (data) => {
-        const line = data.toString().trim();
-        if (line.includes('EADDRINUSE')) {
-            warn(`Port ${PROXY_PORT} already in use — proxy may already be running`);
-        } else if (line.length > 0) {
-            // Log unexpected stderr for debugging
-            log(`[proxy:stderr] ${line.substring(0, 200)}`);
+        if (data.toString().includes('EADDRINUSE')) {
+            warn(`Port ${PROXY_PORT} is already in use — see: ${c.dim}vertexhub doctor${c.reset}`);
+        } else if (!stderrNoticeShown) {
+            stderrNoticeShown = true;
+            log(`Proxy reported errors — see: ${c.dim}vertexhub logs${c.reset}`);
         }
     });
 
-    proxyProcess.on('error', (error) => {
-        err(`Failed to start proxy: ${error.message}`);
-    });
+    return proxyProcess;
+}
 
+/**
+ * Start the proxy and wait up to 15s for /health. Exits on failure.
+ */
+async function launchProxy(options = {}) {
+    const proxyProcess = startProxy(options);
+    let started = false;
+    for (let i = 0; i < 15; i++) {
+        await new Promise(r => setTimeout(r, 1000));
+        if (await isProxyRunning()) {
+            started = true;
+            break;
+        }
+        process.stdout.write('.');
+    }
+    console.log();
+    if (!started) {
+        err('Proxy failed to start within 15 seconds.');
+        err(`Check: ${c.dim}vertexhub logs --lines 50${c.reset}`);
+        if (options.daemon) await terminateProxy({ pid: proxyProcess.pid, instance: INSTANCE });
+        process.exit(1);
+    }
+    ok(`Proxy started at ${PROXY_URL}${options.daemon ? ` (PID ${proxyProcess.pid})` : ''}`);
+    fireHook('proxy-started', { pid: proxyProcess.pid, url: PROXY_URL, port: Number(PROXY_PORT), daemon: !!options.daemon, mock: !!options.mock, restart: false });
     return proxyProcess;
 }
 
+// --- Proxy State ---
+
+/**
+ * Return the live proxy state, or null. Stale state (dead or reused PID,
+ * unreadable file) is cleaned up on the way.
+ */
+function getTrackedProxy() {
+    const state = readProxyState(INSTANCE);
+    if (!state) return null;
+    if (state.invalid) {
+        warn(`Removed unreadable proxy state file ${INSTANCE_PATHS.stateFile}`);
+        removeProxyState(undefined, INSTANCE);
+        return null;
+    }
+    if (!isTrackedProxyProcess(state)) {
+        warn(`Removed stale proxy state (PID ${state.pid} is no longer the proxy)`);
+        removeProxyState(undefined, INSTANCE);
+        return null;
+    }
+    return state;
+}
+
+/**
+ * Stop a tracked proxy: SIGTERM its process group, then SIGKILL after 5s.
+ */
+async function terminateProxy(state) {
+    const { forced } = await api.terminateProxy(state);
+    if (forced) warn(`Proxy (PID ${state.pid}) did not exit after SIGTERM; sent SIGKILL`);
+}
+
+// --- Supervisor ---
+
+const SUPERVISOR_POLL_MS = 5000;
+const SUPERVISOR_HEALTH_FAILURES = 3;
+const SUPERVISOR_STARTUP_GRACE_MS = 15000;
+const SUPERVISOR_MAX_BACKOFF_MS = 30000;
+
+/**
+ * Keep the proxy alive while a Claude Code session runs. Watches the proxy
+ * process we spawned (if any) and polls /health; on a crash or repeated health
+ * failures it restarts the proxy with exponential backoff, and gives up once
+ * `supervisor.maxCrashes` crashes happen within `supervisor.windowSeconds`.
+ *
+ * Runs quietly (Claude Code owns the terminal): restarts go to the proxy log
+ * and the returned `stats`, which the session summary reports.
+ */
+function superviseProxy(initialProcess, { mock = null } = {}) {
+    const maxCrashes = Number(config.values['supervisor.maxCrashes']);
+    const windowMs = Number(config.values['supervisor.windowSeconds']) * 1000;
+
+    const stats = { restarts: [], gaveUp: false };
+    let current = initialProcess;
+    let crashTimes = [];
+    let healthFailures = 0;
+    let graceUntil = 0;
+    let restarting = false;
+    let stopped = false;
+
+    const handleCrash = async (reason) => {
+        if (stopped || restarting || stats.gaveUp) return;
+        restarting = true;
+
+        const now = Date.now();
+        crashTimes = crashTimes.filter(t => now - t < windowMs);
+        crashTimes.push(now);
+        appendProxyLogMarker(`Supervisor: proxy down (${reason})`, INSTANCE_PATHS.logFile);
+
+        const gaveUp = crashTimes.length >= maxCrashes;
+        fireHook('proxy-crashed', { reason, crashes: crashTimes.length, windowSeconds: windowMs / 1000, restarts: stats.restarts.length, gaveUp });
+        if (gaveUp) {
+            stats.gaveUp = true;
+            restarting = false;
+            appendProxyLogMarker('Supervisor: giving up', INSTANCE_PATHS.logFile);
+            err(`Proxy crashed ${crashTimes.length} times within ${windowMs / 1000}s — no longer restarting it.`);
+            err('Claude Code requests will fail until you restart VertexHub. See: vertexhub logs');
+            return;
+        }
+
+        const delay = Math.min(1000 * 2 ** (crashTimes.length - 1), SUPERVISOR_MAX_BACKOFF_MS);
+        await new Promise(r => setTimeout(r, delay));
+        if (stopped) return;
+
+        // A hung proxy still holds the port; make sure it is gone first
+        if (current && isProcessAlive(current.pid)) {
+            try { process.kill(-current.pid, 'SIGKILL'); } catch { /* already exited */ }
+        }
+
+        current = startProxy({ quiet: true, mock });
+        watchProcess(current);
+        stats.restarts.push({ at: new Date().toISOString(), reason });
+        appendProxyLogMarker(`Supervisor: restarted proxy after ${delay}ms (restart #${stats.restarts.length})`, INSTANCE_PATHS.logFile);
+        healthFailures = 0;
+        graceUntil = Date.now() + SUPERVISOR_STARTUP_GRACE_MS;
+        restarting = false;
+        announceRestart(current);
+    };
+
+    // Like launchProxy, report proxy-started once the restarted proxy answers /health
+    const announceRestart = async (proxyProcess) => {
+        const deadline = Date.now() + SUPERVISOR_STARTUP_GRACE_MS;
+        while (!stopped && proxyProcess === current && Date.now() < deadline) {
+            await new Promise(r => setTimeout(r, 1000));
+            if (proxyProcess === current && await isProxyRunning()) {
+                fireHook('proxy-started', { pid: proxyProcess.pid, url: PROXY_URL, port: Number(PROXY_PORT), daemon: false, mock: !!mock, restart: true });
+                return;
+            }
+        }
+    };
+
+    const watchProcess = (proxyProcess) => {
+        if (!proxyProcess) return;
+        proxyProcess.on('exit', (code, signal) => {
+            if (proxyProcess === current) handleCrash(signal ? `killed by ${signal}` : `exited with code ${code}`);
+        });
+    };
+
+    watchProcess(current);
+
+    const timer = setInterval(async () => {
+        if (stopped || restarting || stats.gaveUp || Date.now() < graceUntil) return;
+        if (await isProxyRunning()) {
+            healthFailures = 0;
+            return;
+        }
+        healthFailures++;
+        if (healthFailures >= SUPERVISOR_HEALTH_FAILURES) {
+            handleCrash(`/health failed ${healthFailures} times`);
+        }
+    }, SUPERVISOR_POLL_MS);
+    timer.unref();
+
+    return {
+        stats,
+        stop() {
+            stopped = true;
+            clearInterval(timer);
+        },
+    };
+}
+
+function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    if (h > 0) return `${h}h ${m}m ${sec}s`;
+    if (m > 0) return `${m}m ${sec}s`;
+    return `${sec}s`;
+}
+
+// --- Hooks ---
+
+const pendingHooks = new Set();
+// Claude Code owns the terminal during a session: failures are listed after it
+const failedHooks = [];
+let sessionRunning = false;
+
+/**
+ * Run the hook for `event` in the background (see api.runHook). A failed hook
+ * is reported right away, or in the summary when a session is running.
+ */
+function fireHook(event, details = {}) {
+    const run = api.runHook(event, details, { config: config.values }).then((result) => {
+        if (!result || (result.code === 0 && !result.timedOut)) return;
+        let outcome = `failed (${result.signal ?? `code ${result.code}`})`;
+        if (result.error) outcome = 'could not be run';
+        else if (result.timedOut) outcome = 'timed out';
+        if (sessionRunning) {
+            failedHooks.push(`${event} ${outcome}`);
+        } else {
+            warn(`Hook ${event} ${outcome} — see: ${c.dim}vertexhub logs${c.reset}`);
+        }
+    });
+    pendingHooks.add(run);
+    run.finally(() => pendingHooks.delete(run));
+}
+
+/** Wait for hooks still running (each is bounded by hooks.timeoutSeconds). */
+function settleHooks() {
+    return Promise.all(pendingHooks);
+}
+
+/**
+ * While a session runs, poll /account-limits every hooks.quotaPollSeconds and
+ * fire quota-below-threshold once per account and model whose remaining
+ * quota drops below hooks.quotaThreshold percent (again only after it has
+ * recovered). Does nothing unless that hook is configured.
+ */
+function watchQuota() {
+    if (!config.values['hooks.quota-below-threshold']) return null;
+    const threshold = Number(config.values['hooks.quotaThreshold']);
+    const below = new Set();
+
+    const check = async () => {
+        const status = await getProxyStatus();
+        for (const acc of status?.limits ? normalizeAccounts(status.limits) : []) {
+            const account = acc.email ?? acc.id ?? null;
+            for (const quota of getAccountQuotas(acc)) {
+                const key = `${account}\0${quota.model}`;
+                if (quota.remainingFraction === null || quota.remainingFraction * 100 >= threshold) {
+                    below.delete(key);
+                } else if (!below.has(key)) {
+                    below.add(key);
+                    fireHook('quota-below-threshold', {
+                        account,
+                        model: quota.model,
+                        remainingFraction: quota.remainingFraction,
+                        thresholdPercent: threshold,
+                        resetAt: quota.resetAt,
+                    });
+                }
+            }
+        }
+    };
+
+    check();
+    const timer = setInterval(check, Number(config.values['hooks.quotaPollSeconds']) * 1000);
+    timer.unref();
+    return { stop: () => clearInterval(timer) };
+}
+
 // --- Cleanup ---
 
 function cleanup() {
@@ -282,9 +1102,15 @@ function cleanup() {
         try {
             if (child.pid && !child.killed) {
                 process.kill(-child.pid, 'SIGTERM');
+                removeProxyState(child.pid, INSTANCE);
+                appendProxyLogMarker(`Proxy stopped by VertexHub (PID ${child.pid})`, INSTANCE_PATHS.logFile);
             }
         } catch { /* process may have already exited */ }
     }
+    if (sessionSettingsFile) {
+        rmSync(sessionSettingsFile, { force: true });
+        sessionSettingsFile = null;
+    }
 }
 
 process.on('SIGTERM', () => { cleanup(); process.exit(0); });
@@ -303,63 +1129,180 @@ function isRemoteSession() {
 /**
  * Stop the proxy server if it's running.
  * Required before managing accounts (accounts.js enforces this).
+ * A proxy VertexHub did not start is only stopped when it answers /health
+ * like one; anything else on the port is left alone and login exits.
  */
 async function stopProxy() {
-    // Kill processes on both default port (8080) and configured port
-    const portsToFree = [...new Set(['8080', PROXY_PORT])];
-    for (const port of portsToFree) {
+    const state = getTrackedProxy();
+    if (state) {
+        await terminateProxy(state);
+        return;
+    }
+
+    const owner = await api.identifyPortOwner({ config: config.values });
+    if (owner.free) return;
+    if (!owner.proxy || owner.processes.length === 0) {
+        err(`Port ${PROXY_PORT} is in use by ${describePortOwner(owner)}${owner.proxy ? '' : ', which is not the proxy'}.`);
+        err('VertexHub does not stop processes it cannot identify. Stop it yourself and try again.');
+        process.exit(1);
+    }
+    for (const { pid } of owner.processes) {
         try {
-            execSync(`fuser -k ${port}/tcp 2>/dev/null`, { stdio: 'pipe', timeout: 5000 });
-        } catch { /* port may already be free */ }
+            process.kill(pid, 'SIGTERM');
+        } catch { /* already gone */ }
+    }
+    // Wait up to 5s for the port to be released
+    for (let i = 0; i < 10 && !(await api.isPortFree(PROXY_PORT, PROXY_HOST)); i++) {
+        await new Promise(r => setTimeout(r, 500));
     }
-    // Wait for ports to fully release
-    await new Promise(r => setTimeout(r, 2000));
 }
 
-async function cmdLogin() {
-    const isRemote = isRemoteSession();
-
-    console.log(`
-${c.bold}${c.cyan}╔══════════════════════════════════════╗
-║       VertexHub — Google Login       ║
-╚══════════════════════════════════════╝${c.reset}
-`);
-
-    validateProxyDir();
+/**
+ * "PID 123 (python3 -m http.server 8080)" for each process holding the port.
+ */
+function describePortOwner(owner) {
+    if (owner.processes.length === 0) return 'a process this user cannot inspect';
+    return owner.processes.map(({ pid, command }) => {
+        if (!command) return `PID ${pid}`;
+        const shown = command.length > 80 ? `${command.slice(0, 77)}...` : command;
+        return `PID ${pid} (${sanitizeForTerminal(shown)})`;
+    }).join(', ');
+}
 
-    // Accounts manager requires the proxy to be STOPPED
-    if (await isProxyRunning()) {
-        log('Stopping proxy (required to manage accounts)...');
-        await stopProxy();
-        if (await isProxyRunning()) {
-            err('Could not stop proxy. Stop it manually (Ctrl+C) and try again.');
-            process.exit(1);
-        }
-        ok('Proxy stopped.');
+/**
+ * Before start launches a proxy: if something that is not the proxy holds
+ * the port, exit with what it is, or with --auto-port move this session to
+ * the next free port. The new port reaches the proxy, its state file and the
+ * session's --settings, but not ~/.claude/settings.json.
+ */
+async function resolvePortConflict() {
+    const owner = await api.identifyPortOwner({ config: config.values });
+    if (owner.free || owner.proxy) return;
+
+    if (!cli.options.autoPort) {
+        err(`Port ${PROXY_PORT} is in use by ${describePortOwner(owner)}, which is not the proxy.`);
+        err('VertexHub does not stop processes it did not start. Free the port, or:');
+        err(`  ${c.dim}vertexhub start --auto-port${c.reset}     use a free port for this session`);
+        err(`  ${c.dim}vertexhub start --port <port>${c.reset}   use a port of your choice`);
+        process.exit(1);
     }
 
-    // Show instructions for remote servers
+    const port = await api.findFreePort({ from: Number(PROXY_PORT) + 1, host: PROXY_HOST, exclude: api.getClaimedPorts() });
+    if (!port) {
+        err(`Port ${PROXY_PORT} is in use by ${describePortOwner(owner)}, and no free port was found above it.`);
+        process.exit(1);
+    }
+    warn(`Port ${PROXY_PORT} is in use by ${describePortOwner(owner)} — using port ${port} for this session`);
+    log(`Other commands reach this proxy with ${c.dim}--port ${port}${c.reset}`);
+    sessionPort = port;
+    config.values.port = port;
+    PROXY_PORT = port;
+    PROXY_URL = `http://${PROXY_HOST}:${PROXY_PORT}`;
+}
+
+/**
+ * The ssh command that forwards the OAuth callback port from the user's own
+ * machine to this one. Uses the server address and port of the current SSH
+ * connection when there is one, since that is what the user connected to.
+ */
+function getTunnelCommand(port = OAUTH_CALLBACK_PORT) {
+    const [, , serverIp, serverPort] = (process.env.SSH_CONNECTION || '').trim().split(/\s+/);
+    let user = process.env.USER;
+    if (!user) {
+        try { user = userInfo().username; } catch { user = 'user'; }
+    }
+    const portFlag = serverPort && serverPort !== '22' ? ` -p ${serverPort}` : '';
+    return `ssh -N -L ${port}:localhost:${port}${portFlag} ${user}@${serverIp || hostname()}`;
+}
+
+/**
+ * Validate a copied redirect URL and forward it to the OAuth listener.
+ * Returns true on success; reports the problem and returns false otherwise.
+ */
+async function deliverOAuthCallback(input) {
+    try {
+        const callback = parseOAuthCallbackUrl(input);
+        await forwardOAuthCallback(callback);
+        ok(`Redirect delivered to the login listener on localhost:${callback.port}.`);
+        return true;
+    } catch (e) {
+        if (!(e instanceof VertexHubError)) throw e;
+        err(sanitizeForTerminal(e.message));
+        return false;
+    }
+}
+
+/**
+ * Read pasted redirect URLs from stdin until one is delivered or the
+ * accounts manager exits. Returns a function that stops the prompt.
+ */
+function promptForCallbackUrl(accountsProcess) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    let pending = Promise.resolve();
+    let delivered = false;
+
+    rl.setPrompt(`${c.cyan}Paste the redirect URL here:${c.reset} `);
+    rl.on('line', (line) => {
+        // Handle lines one at a time, in order, even if pasted together
+        pending = pending.then(async () => {
+            if (delivered || !line.trim()) return;
+            delivered = await deliverOAuthCallback(line);
+            if (delivered) rl.close();
+            else rl.prompt();
+        });
+    });
+    rl.on('SIGINT', () => {
+        rl.close();
+        accountsProcess.kill('SIGTERM');
+    });
+    rl.prompt();
+
+    return () => rl.close();
+}
+
+async function cmdLogin() {
+    if (cli.options.callbackUrl !== undefined) {
+        if (!await deliverOAuthCallback(cli.options.callbackUrl)) process.exit(1);
+        return;
+    }
+
+    const createdInstancePort = await claimInstancePort();
+    const isRemote = isRemoteSession();
+    const isolated = isIsolated();
+
+    printBanner('VertexHub — Google Login', c.cyan);
+    if (createdInstancePort) ok(`Created instance "${INSTANCE}" on port ${createdInstancePort}`);
+
+    validateProxyDir();
+
+    // Accounts manager requires the proxy to be STOPPED
+    if (await isProxyRunning()) {
+        log('Stopping proxy (required to manage accounts)...');
+        await stopProxy();
+        if (await isProxyRunning()) {
+            err('Could not stop proxy. Stop it manually (Ctrl+C) and try again.');
+            process.exit(1);
+        }
+        ok('Proxy stopped.');
+    }
+
+    // Show instructions for remote servers
     if (isRemote) {
         console.log(`${c.bold}${c.yellow}  ⚠ Remote/headless server detected${c.reset}`);
         console.log(`
-  The OAuth login will generate a Google URL.
-  After signing in, Google redirects to ${c.bold}localhost${c.reset} which won't
-  work from your local browser because the server is remote.
-
-  ${c.bold}How to complete the login:${c.reset}
-
-  ${c.cyan}Option A — Copy the redirect URL${c.reset}
-    1. Open the Google auth URL in your browser
-    2. Sign in and click "Allow"
-    3. You'll see "${c.red}localhost refused to connect${c.reset}" — ${c.green}this is normal!${c.reset}
-    4. Copy the ${c.bold}FULL URL${c.reset} from your browser's address bar
-       (it looks like: http://localhost:XXXXX/oauth-callback?code=4/0A...)
-    5. Paste it when prompted below
-
-  ${c.cyan}Option B — SSH tunnel (recommended for reliability)${c.reset}
-    On your local machine, open a NEW terminal and run:
-    ${c.dim}ssh -L 51121:localhost:51121 ${process.env.USER || 'user'}@${process.env.HOSTNAME || 'your-server'}${c.reset}
-    Then open the Google URL — the redirect will work automatically.
+  After you sign in, Google redirects your browser to ${c.bold}localhost${c.reset}, which
+  is your own machine, not this server. Finish the login in one of two ways:
+
+  ${c.cyan}Option A — Paste the redirect URL${c.reset}
+    Open the Google URL, sign in and click "Allow". When the browser shows
+    "${c.red}localhost refused to connect${c.reset}", copy the ${c.bold}full URL${c.reset} from the address bar
+    (http://localhost:${OAUTH_CALLBACK_PORT}/oauth-callback?code=...&state=...) and paste it below,
+    or run ${c.dim}vertexhub login --callback-url '<url>'${c.reset} in another shell here.
+
+  ${c.cyan}Option B — SSH tunnel${c.reset}
+    Before opening the Google URL, run this on your local machine:
+    ${c.dim}${sanitizeForTerminal(getTunnelCommand())}${c.reset}
+    The redirect then reaches this server directly.
 `);
     }
 
@@ -374,20 +1317,34 @@ ${c.bold}${c.cyan}╔═══════════════════
     const args = [accountsScript, 'add'];
     if (isRemote) args.push('--no-browser');
 
+    // Remotely, our stdin is used for the pasted redirect URL instead.
+    // A named instance keeps its accounts under its own HOME (see getInstancePaths)
+    const env = { ...process.env, PORT: PROXY_PORT };
+    if (INSTANCE_PATHS.home) {
+        mkdirSync(INSTANCE_PATHS.home, { recursive: true, mode: 0o700 });
+        env.HOME = INSTANCE_PATHS.home;
+        log(`Linking an account to instance "${INSTANCE}" (port ${PROXY_PORT})`);
+    }
     const accountsProcess = spawn(nodeBin, args, {
-        env: { ...process.env, PORT: PROXY_PORT },
+        env,
         cwd: PROXY_DIR,
-        stdio: 'inherit',
+        stdio: [isRemote ? 'pipe' : 'inherit', 'inherit', 'inherit'],
     });
+    const stopPrompt = isRemote ? promptForCallbackUrl(accountsProcess) : null;
 
     await new Promise((resolve) => {
         accountsProcess.on('exit', (code) => {
+            stopPrompt?.();
             if (code === 0) {
                 ok('Google account linked successfully!');
-                configureClaudeSettings();
+                if (isolated) {
+                    log('Isolated mode: ~/.claude was left untouched');
+                } else {
+                    configureClaudeSettings();
+                }
                 console.log(`
 ${c.green}✓ Login complete!${c.reset} Next steps:
-  ${c.dim}vertexhub start${c.reset}     Start proxy + Claude Code
+  ${c.dim}vertexhub start${isolated ? ' --isolated' : ''}${c.reset}     Start proxy + Claude Code
   ${c.dim}vertexhub status${c.reset}    Verify everything is working
 `);
             } else {
@@ -397,6 +1354,7 @@ ${c.green}✓ Login complete!${c.reset} Next steps:
         });
 
         accountsProcess.on('error', (error) => {
+            stopPrompt?.();
             err(`Failed to launch accounts manager: ${error.message}`);
             resolve();
         });
@@ -404,52 +1362,145 @@ ${c.green}✓ Login complete!${c.reset} Next steps:
 }
 
 async function cmdStart() {
-    console.log(`
-${c.bold}${c.magenta}╔══════════════════════════════════════╗
-║     VertexHub — Starting Session     ║
-╚══════════════════════════════════════╝${c.reset}
-`);
+    // The project's claudeArgs are defaults: arguments after -- replace them
+    const claudeArgs = cli.passthrough.length > 0 || !PROJECT ? cli.passthrough : PROJECT.claudeArgs;
+    const daemon = !!cli.options.daemon;
+    const supervise = !cli.options.noSupervise;
+    const isolated = isIsolated();
+
+    let cwd = process.cwd();
+    if (cli.options.cwd !== undefined) {
+        cwd = resolve(cli.options.cwd);
+        if (!existsSync(cwd) || !statSync(cwd).isDirectory()) {
+            err(`--cwd must be an existing directory: ${sanitizeForTerminal(cli.options.cwd)}`);
+            process.exit(1);
+        }
+    }
+    if (daemon && (cli.passthrough.length > 0 || cli.options.cwd !== undefined)) {
+        err('--daemon does not launch Claude Code, so --cwd and arguments after -- cannot be used with it.');
+        process.exit(1);
+    }
 
-    validateProxyDir();
+    // Before the profile is applied: claiming reloads the config
+    const createdInstancePort = await claimInstancePort();
+    const profileName = cli.options.profile;
+    const profileOverrides = profileName ? getProfileOverrides(profileName) : null;
+    if (profileName !== undefined) {
+        if (!profileOverrides) {
+            err(`Unknown profile: ${sanitizeForTerminal(profileName)}`);
+            err(`Available: ${Object.keys(getProfiles()).join(', ')}`);
+            process.exit(1);
+        }
+        reloadConfig(profileOverrides);
+    }
+
+    const mock = getMockOption();
 
-    // 1. Configure Claude Code settings
-    configureClaudeSettings();
+    printBanner('VertexHub — Starting Session', c.magenta);
+    if (PROJECT) log(`Project settings: ${PROJECT.file}`);
+    if (createdInstancePort) ok(`Created instance "${INSTANCE}" on port ${createdInstancePort}`);
 
-    // 2. Start proxy if not running
+    if (!mock) validateProxyDir();
+
+    // 1. Start proxy if not running
+    let proxyProcess = null;
     if (await isProxyRunning()) {
         ok(`Proxy already running at ${PROXY_URL}`);
+        if (mock) warn('--mock ignored: using the proxy that is already running');
     } else {
-        startProxy();
-        // Wait for proxy
-        let started = false;
-        for (let i = 0; i < 15; i++) {
-            await new Promise(r => setTimeout(r, 1000));
-            if (await isProxyRunning()) {
-                started = true;
-                break;
-            }
-            process.stdout.write('.');
-        }
-        console.log();
-        if (!started) {
-            err('Proxy failed to start within 15 seconds.');
-            err(`Check: ${c.dim}VERTEXHUB_PORT=${PROXY_PORT} node ${PROXY_DIR}/src/index.js${c.reset}`);
-            process.exit(1);
-        }
-        ok(`Proxy started at ${PROXY_URL}`);
+        await resolvePortConflict();
+        proxyProcess = await launchProxy({ daemon, mock });
+    }
+    if (!mock && !getTrackedProxy()?.mock) {
+        const status = await getProxyStatus();
+        if (status?.health) warnUnsupportedProxyVersion(status.health.version);
+    }
+
+    // 2. Configure Claude Code settings (profile models must exist on the proxy)
+    if (profileOverrides) {
+        await requireKnownModels(Object.values(profileOverrides));
+        ok(`Using model profile: ${profileName}`);
+    }
+    const projectModels = MODEL_SLOTS.filter(slot => config.sources[`models.${slot}`] === 'project');
+    if (projectModels.length > 0) {
+        await requireKnownModels(projectModels.map(slot => config.values[`models.${slot}`]));
+        ok(`Using project models${PROJECT.profile ? ` (profile: ${PROJECT.profile})` : ''}: ${projectModels.map(slot => `${slot}=${config.values[`models.${slot}`]}`).join(', ')}`);
+    }
+    // The project's own values reach this session only (see sessionEnv below)
+    if (isolated) {
+        log(`Isolated mode: ~/.claude is left untouched ${c.dim}(Claude Code config: ${INSTANCE_PATHS.claudeDir})${c.reset}`);
+    } else {
+        configureClaudeSettings(getSharedConfigValues(profileOverrides ?? {}));
+    }
+
+    const metering = cli.options.noMeter ? false : !!cli.options.meter || config.values.metering === 'true';
+    if (daemon && cli.options.meter) warn('--meter only applies to Claude Code sessions started by VertexHub; ignored with --daemon');
+
+    if (daemon) {
+        // ~/.claude/settings.json still names the configured port, so plain `claude` cannot reach an --auto-port proxy
+        const portFlag = sessionPort ? ` --port ${sessionPort}` : '';
+        console.log(`
+  Proxy is running in the background.
+  ${isolated || sessionPort ? `${c.dim}vertexhub start${isolated ? ' --isolated' : ''}${portFlag}${c.reset}  Launch ${isolated ? 'an isolated' : 'a'} Claude Code session against it` : `${c.dim}claude${c.reset}             Launch Claude Code against it`}
+  ${c.dim}vertexhub stop${portFlag}${c.reset}     Stop the proxy
+`);
+        return;
     }
 
-    // 3. Launch Claude Code
-    log('Launching Claude Code CLI...');
-    const claudeProcess = spawn('claude', [], {
+    // 3. Launch Claude Code (with the proxy supervised for the whole session)
+    const supervisor = supervise ? superviseProxy(proxyProcess, { mock }) : null;
+    const meter = metering ? await startMeter() : null;
+    const sessionStart = Date.now();
+
+    // Isolated sessions share one config directory per instance, so their
+    // values are always passed per session as well
+    const isolatedConfig = isolated ? api.prepareIsolatedClaudeConfig({ config: config.values, dir: INSTANCE_PATHS.claudeDir }) : null;
+
+    // --settings takes precedence over ~/.claude/settings.json for this session only.
+    // It gets a file path: the values include the auth token
+    const sessionEnv = {
+        ...(PROJECT || isolated || sessionPort ? { ...PROJECT?.env, ...api.getManagedEnv(config.values) } : {}),
+        ...(meter ? { ANTHROPIC_BASE_URL: meter.url } : {}),
+    };
+    const sessionSettings = Object.keys(sessionEnv).length > 0;
+    let sessionArgs = claudeArgs;
+    if (sessionSettings && claudeArgs.includes('--settings')) {
+        warn(`--settings was passed to claude; make sure it does not override ${Object.keys(sessionEnv).join(', ')}`);
+    } else if (sessionSettings) {
+        sessionSettingsFile = api.writeSessionSettings({ env: sessionEnv }, { instance: INSTANCE });
+        sessionArgs = ['--settings', sessionSettingsFile, ...claudeArgs];
+    }
+
+    log(`Launching Claude Code CLI${claudeArgs.length ? ` ${c.dim}(claude ${sanitizeForTerminal(claudeArgs.join(' '))})${c.reset}` : ''}...`);
+    if (cwd !== process.cwd()) log(`Working directory: ${cwd}`);
+    debug(`Spawning claude ${sessionArgs.join(' ')}`);
+    const env = { ...process.env, ...isolatedConfig?.env };
+    // A personal API key in the environment must not be sent to the proxy
+    if (isolated) delete env.ANTHROPIC_API_KEY;
+    const claudeProcess = spawn('claude', sessionArgs, {
+        cwd,
         env: {
-            ...process.env,
-            ANTHROPIC_BASE_URL: PROXY_URL,
-            ANTHROPIC_AUTH_TOKEN: 'vertexhub-proxy',
+            ...env,
+            ...sessionEnv,
+            ANTHROPIC_BASE_URL: meter?.url ?? PROXY_URL,
+            ANTHROPIC_AUTH_TOKEN: config.values.authToken,
         },
         stdio: 'inherit',
     });
+    claudeProcess.once('spawn', () => {
+        sessionRunning = true;
+        fireHook('session-started', {
+            pid: claudeProcess.pid,
+            cwd,
+            args: claudeArgs,
+            proxyUrl: PROXY_URL,
+            project: PROJECT?.file ?? null,
+            meterSession: meter?.session ?? null,
+        });
+    });
+    const quotaWatch = watchQuota();
 
+    let exit = null;
     await new Promise((resolve) => {
         claudeProcess.on('error', (error) => {
             if (error.code === 'ENOENT') {
@@ -462,37 +1513,498 @@ ${c.bold}${c.magenta}╔══════════════════
             resolve();
         });
 
-        claudeProcess.on('exit', (code) => {
+        claudeProcess.on('exit', (code, signal) => {
+            exit = { code, signal };
             log(`Session ended (code: ${code})`);
             resolve();
         });
     });
+
+    sessionRunning = false;
+    quotaWatch?.stop();
+    supervisor?.stop();
+    meter?.stop();
+    const durationMs = Date.now() - sessionStart;
+    if (exit) {
+        fireHook('session-ended', {
+            exitCode: exit.code,
+            signal: exit.signal,
+            durationMs,
+            cwd,
+            proxyRestarts: supervisor?.stats.restarts.length ?? null,
+            usage: meter?.totals ?? null,
+            meterSession: meter?.session ?? null,
+        });
+    }
+    printSessionSummary(durationMs, supervisor?.stats, meter?.totals, failedHooks);
+
+    // Stop the session's proxy now; its open pipes would otherwise keep us alive
+    cleanup();
+    await settleHooks();
 }
 
-async function cmdStatus() {
+/**
+ * Start the metering pass-through for this session on a free local port.
+ * Each response's usage is appended to the instance's usage journal, tagged
+ * with a session ID. Returns `{ url, session, totals, stop() }`.
+ */
+async function startMeter() {
+    const session = randomUUID();
+    const totals = { requests: 0, inputTokens: 0, outputTokens: 0 };
+    const server = api.createMeteringProxy({
+        target: PROXY_URL,
+        onUsage: (usage) => {
+            totals.requests++;
+            totals.inputTokens += usage.inputTokens;
+            totals.outputTokens += usage.outputTokens;
+            try {
+                api.appendUsageRecord(INSTANCE_PATHS.usageFile, { time: new Date().toISOString(), session, instance: INSTANCE, ...usage });
+            } catch (e) {
+                debug(`Could not record usage: ${e.message}`);
+            }
+        },
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    }).catch((e) => {
+        err(`Could not start the metering layer: ${e.message}`);
+        process.exit(1);
+    });
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    ok(`Metering token usage via ${url} ${c.dim}(session ${session.slice(0, 8)})${c.reset}`);
+    return {
+        url,
+        session,
+        totals,
+        stop() {
+            server.close();
+            server.closeAllConnections?.();
+        },
+    };
+}
+
+/**
+ * `--mock` / `--fixture <file>` as the `mock` option for startProxy, or null.
+ * The fixture is loaded once up front so a broken file fails before anything starts.
+ */
+function getMockOption() {
+    if (!cli.options.mock && cli.options.fixture === undefined) return null;
+    const fixture = cli.options.fixture === undefined ? null : resolve(cli.options.fixture);
+    try {
+        loadMockFixture(fixture);
+    } catch (e) {
+        if (!(e instanceof api.FixtureError)) throw e;
+        err(e.message);
+        process.exit(1);
+    }
+    return { fixture };
+}
+
+function printSessionSummary(durationMs, stats, usage, hookFailures = []) {
+    console.log(`\n  ${c.bold}Session summary${c.reset}`);
+    console.log(`    Duration: ${formatDuration(durationMs)}`);
+    if (usage) {
+        console.log(`    Tokens: ${formatCount(usage.inputTokens)} in / ${formatCount(usage.outputTokens)} out (${usage.requests} requests)`);
+    }
+    if (!stats) {
+        console.log(`    Proxy supervision: ${c.dim}off${c.reset}`);
+    } else if (stats.restarts.length === 0 && !stats.gaveUp) {
+        console.log(`    Proxy restarts: 0`);
+    } else {
+        console.log(`    Proxy restarts: ${c.yellow}${stats.restarts.length}${c.reset}${stats.gaveUp ? ` ${c.red}(gave up)${c.reset}` : ''}`);
+        for (const restart of stats.restarts) {
+            console.log(`      ${c.dim}${restart.at}${c.reset} ${restart.reason}`);
+        }
+        console.log(`    Details: ${c.dim}vertexhub logs --since ${Math.ceil(durationMs / 60000)}m${c.reset}`);
+    }
+    if (hookFailures.length > 0) {
+        console.log(`    Hooks: ${c.yellow}${hookFailures.join(', ')}${c.reset} ${c.dim}(vertexhub logs)${c.reset}`);
+    }
+    console.log();
+}
+
+async function cmdStop() {
+    const state = getTrackedProxy();
+    if (!state) {
+        if (await isProxyRunning()) {
+            err(`A proxy is answering at ${PROXY_URL}, but VertexHub has no record of starting it.`);
+            err('Refusing to signal an unknown process. Stop it from the terminal that started it.');
+            process.exit(1);
+        }
+        ok('Proxy is not running.');
+        return;
+    }
+
+    log(`Stopping proxy (PID ${state.pid})...`);
+    await terminateProxy(state);
+    ok('Proxy stopped.');
+}
+
+async function cmdRestart() {
+    const state = getTrackedProxy();
+    if (state) {
+        log(`Stopping proxy (PID ${state.pid})...`);
+        await terminateProxy(state);
+        ok('Proxy stopped.');
+    } else if (await isProxyRunning()) {
+        err(`A proxy is answering at ${PROXY_URL}, but VertexHub has no record of starting it.`);
+        err('Stop it manually, then run: vertexhub start --daemon');
+        process.exit(1);
+    }
+
+    await launchProxy({ daemon: true, mock: state?.mock ? { fixture: state.fixture ?? null } : null });
+}
+
+/**
+ * Build the `status --json` document. Schema (version 1):
+ *
+ *   schemaVersion  number   Bumped only on breaking changes
+ *   proxy          object   { instance, running, url, host, port, pid, daemon, mock, startedAt, version,
+ *                             versionSupported, strategy }
+ *                           pid/daemon/mock/startedAt are null unless VertexHub started the proxy;
+ *                           version/versionSupported/strategy are null when the proxy is down;
+ *                           versionSupported is also null for the mock proxy or an unparseable version
+ *   accounts       array|null  Entries from /account-limits: { email, status, limits }
+ *                           (null when the proxy is down or the endpoint failed)
+ *   proxyDir       object   { path, exists, version, versionSupported } — version from its package.json
+ *   config         object   { file, fileError, values, sources } — secret values omitted
+ *   claude         object   { settingsFile, configured, valid, baseUrl, model }
+ *   binaries       object   { claude, node } — absolute paths, or null when not found
+ *
+ * Errors from any --json command are `{ schemaVersion, error: { code, message } }`
+ * with the same exit code as the human-readable command.
+ */
+async function buildStatusReport() {
+    const running = await isProxyRunning();
+    const tracked = getTrackedProxy();
+    const status = running ? await getProxyStatus() : null;
+    const settings = readClaudeSettingsSummary();
+    const proxyDirVersion = api.readProxyPackageVersion(PROXY_DIR);
+
+    const values = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (!spec.secret) values[key] = config.values[key];
+    }
+
+    return {
+        schemaVersion: JSON_SCHEMA_VERSION,
+        proxy: {
+            instance: INSTANCE,
+            running,
+            url: PROXY_URL,
+            host: PROXY_HOST,
+            port: Number(PROXY_PORT),
+            pid: tracked?.pid ?? null,
+            daemon: tracked ? !!tracked.daemon : null,
+            mock: tracked ? !!tracked.mock : null,
+            startedAt: tracked?.startedAt ?? null,
+            version: status?.health?.version ?? null,
+            versionSupported: status?.health && !tracked?.mock
+                ? api.checkProxyVersion(status.health.version).compatible
+                : null,
+            strategy: status?.health?.strategy ?? null,
+        },
+        accounts: status?.limits ? normalizeAccounts(status.limits).map(toAccountJson) : null,
+        proxyDir: {
+            path: PROXY_DIR,
+            exists: existsSync(PROXY_DIR),
+            version: proxyDirVersion,
+            versionSupported: api.checkProxyVersion(proxyDirVersion).compatible,
+        },
+        config: {
+            file: VERTEXHUB_CONFIG_FILE,
+            fileError: config.fileError,
+            values,
+            sources: config.sources,
+        },
+        project: buildProjectReport(),
+        claude: {
+            isolated: isIsolated(),
+            isolatedConfigDir: INSTANCE_PATHS.claudeDir,
+            settingsFile: settings.file,
+            configured: settings.exists,
+            valid: settings.valid,
+            baseUrl: settings.baseUrl,
+            model: settings.model,
+        },
+        binaries: {
+            claude: findBinary('claude'),
+            node: getNodeBin(),
+        },
+    };
+}
+
+/**
+ * The project file in effect for `status --json`, or null. Env values are
+ * left out (they may hold secrets); only their names are listed.
+ */
+function buildProjectReport() {
+    if (PROJECT_ERROR) return { file: PROJECT_ERROR.file, error: PROJECT_ERROR.message };
+    if (!PROJECT) return null;
+    return {
+        file: PROJECT.file,
+        error: null,
+        profile: PROJECT.profile,
+        models: PROJECT.models,
+        instance: PROJECT.instance,
+        port: PROJECT.port === null ? null : Number(PROJECT.port),
+        env: Object.keys(PROJECT.env),
+        claudeArgs: PROJECT.claudeArgs,
+    };
+}
+
+function toAccountJson(acc) {
+    return {
+        email: acc.email ?? acc.id ?? null,
+        status: acc.status || 'active',
+        limits: acc.limits ?? null,
+    };
+}
+
+function printJson(data) {
+    console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Emit a --json error document and exit.
+ */
+function failJson(code, message, exitCode = 1) {
+    printJson({ schemaVersion: JSON_SCHEMA_VERSION, error: { code, message } });
+    process.exit(exitCode);
+}
+
+async function cmdMockProxy() {
+    const fixtureFile = cli.options.fixture === undefined ? null : resolve(cli.options.fixture);
+    let fixture;
+    try {
+        fixture = loadMockFixture(fixtureFile);
+    } catch (e) {
+        if (!(e instanceof api.FixtureError)) throw e;
+        err(e.message);
+        process.exit(1);
+    }
+
+    printBanner('VertexHub — Mock Proxy', c.cyan);
+
+    const server = createMockProxy(fixture, {
+        onRequest: (method, url) => log(`${c.dim}${new Date().toLocaleTimeString()}${c.reset} ${method} ${sanitizeForTerminal(url)}`),
+    });
+
+    await new Promise((resolve) => {
+        server.once('error', (e) => {
+            err(e.code === 'EADDRINUSE'
+                ? `Port ${PROXY_PORT} is already in use. Pick another with --port.`
+                : `Mock proxy failed: ${e.message}`);
+            process.exit(1);
+        });
+        server.listen(Number(PROXY_PORT), PROXY_HOST, resolve);
+    });
+
+    ok(`Mock proxy listening at ${PROXY_URL}${fixtureFile ? ` (fixture: ${fixtureFile})` : ''}`);
+    console.log(`
+  ${c.dim}vertexhub status --port ${PROXY_PORT}${c.reset}   Inspect it like the real proxy
+  ${c.dim}vertexhub models --port ${PROXY_PORT}${c.reset}   List the fixture's models
+  Press Ctrl+C to stop.
+`);
+}
+
+async function cmdRestore() {
+    if (!restoreClaudeSettings()) {
+        warn(`No backup found at ${CLAUDE_BACKUP_FILE}; nothing to restore.`);
+        return;
+    }
+    ok('Claude Code settings restored to their pre-VertexHub values.');
+}
+
+async function cmdUninstall() {
+    const purge = !!cli.options.purge;
+
+    printBanner('VertexHub — Uninstall', c.yellow);
+
+    for (const { name, state } of api.listInstances()) {
+        if (!state) continue;
+        log(`Stopping proxy${name === DEFAULT_INSTANCE ? '' : ` "${name}"`} (PID ${state.pid})...`);
+        await terminateProxy(state);
+        ok('Proxy stopped.');
+    }
+
+    if (restoreClaudeSettings()) {
+        ok('Claude Code settings restored to their pre-VertexHub values.');
+    } else {
+        warn(`No backup found at ${CLAUDE_BACKUP_FILE}; Claude Code settings left as they are.`);
+    }
+
+    rmSync(VERTEXHUB_STATE_DIR, { recursive: true, force: true });
+    ok(`Removed ${VERTEXHUB_STATE_DIR}`);
+
+    if (purge) {
+        rmSync(VERTEXHUB_CONFIG_DIR, { recursive: true, force: true });
+        ok(`Removed ${VERTEXHUB_CONFIG_DIR}`);
+    } else {
+        log(`Kept ${VERTEXHUB_CONFIG_FILE} (use --purge to remove it)`);
+    }
+
     console.log(`
-${c.bold}${c.blue}╔══════════════════════════════════════╗
-║       VertexHub — Status Check       ║
-╚══════════════════════════════════════╝${c.reset}
+  To remove the CLI itself: ${c.dim}npm uninstall -g vertexhub-cli${c.reset}
 `);
+}
+
+async function cmdLogs() {
+    const follow = !!cli.options.follow;
+
+    const maxLines = cli.options.lines === undefined ? 50 : Number(cli.options.lines);
+    if (!Number.isInteger(maxLines) || maxLines < 1 || maxLines > 100000) {
+        err('--lines must be an integer between 1 and 100000');
+        process.exit(1);
+    }
+
+    const since = cli.options.since === undefined ? null : parseSince(cli.options.since);
+    if (cli.options.since !== undefined && since === null) {
+        err(`Invalid --since value: ${sanitizeForTerminal(cli.options.since)} (use e.g. 30s, 10m, 2h, 7d or an ISO date)`);
+        process.exit(1);
+    }
+
+    const logFile = INSTANCE_PATHS.logFile;
+    if (!existsSync(logFile) && !follow) {
+        warn(`No proxy log yet (${logFile}). Start the proxy with: vertexhub start${INSTANCE === DEFAULT_INSTANCE ? '' : ` --instance ${INSTANCE}`}`);
+        return;
+    }
+
+    const lines = readProxyLogLines(logFile)
+        .filter(line => since === null || line.time >= since)
+        .slice(-maxLines);
+    for (const line of lines) console.log(sanitizeForTerminal(line.text));
+
+    if (!follow) return;
+
+    // Poll for appended data; start over when the file is rotated or truncated
+    let offset = getProxyLogSize(logFile);
+    let partial = '';
+    const buffer = Buffer.alloc(64 * 1024);
+    await new Promise(() => {
+        setInterval(() => {
+            const size = getProxyLogSize(logFile);
+            if (size < offset) offset = 0;
+            if (size === offset) return;
+
+            let fd;
+            try {
+                fd = openSync(logFile, 'r');
+                let bytes;
+                while ((bytes = readSync(fd, buffer, 0, buffer.length, offset)) > 0) {
+                    offset += bytes;
+                    const chunk = (partial + buffer.toString('utf-8', 0, bytes)).split('\n');
+                    partial = chunk.pop();
+                    for (const text of chunk) console.log(sanitizeForTerminal(text));
+                }
+            } catch { /* file rotated between stat and open */ }
+            finally {
+                if (fd !== undefined) closeSync(fd);
+            }
+        }, 500);
+    });
+}
+
+/**
+ * Build the `ps --json` document:
+ *
+ *   schemaVersion  number
+ *   instances      array   { name, running, healthy, pid, host, port, url, daemon, mock,
+ *                            startedAt, uptimeSeconds } — running instances only unless
+ *                           `all`; healthy/pid/daemon/mock/startedAt/uptimeSeconds are null
+ *                           for stopped ones
+ */
+async function buildInstanceList(all) {
+    const instances = [];
+    for (const { name, port, state } of api.listInstances()) {
+        if (!state && !all) continue;
+        const host = state?.host ?? PROXY_HOST;
+        const startedAt = state?.startedAt ?? null;
+        instances.push({
+            name,
+            running: !!state,
+            healthy: state ? await api.isProxyRunning({ config: { ...config.values, host, port } }) : null,
+            pid: state?.pid ?? null,
+            host,
+            port: Number(port),
+            url: `http://${host}:${port}`,
+            daemon: state ? !!state.daemon : null,
+            mock: state ? !!state.mock : null,
+            startedAt,
+            uptimeSeconds: startedAt ? Math.max(0, Math.round((Date.now() - Date.parse(startedAt)) / 1000)) : null,
+        });
+    }
+    return { schemaVersion: JSON_SCHEMA_VERSION, instances };
+}
+
+async function cmdPs() {
+    const report = await buildInstanceList(!!cli.options.all);
+    if (jsonMode) {
+        printJson(report);
+        return;
+    }
+
+    if (report.instances.length === 0) {
+        log('No proxy instances are running.');
+        log(`Start one with: ${c.dim}vertexhub start --daemon [--instance <name>]${c.reset}`);
+        return;
+    }
+
+    console.log(`\n  ${c.bold}${'INSTANCE'.padEnd(16)} ${'PID'.padEnd(8)} ${'PORT'.padEnd(6)} ${'UPTIME'.padEnd(12)} HEALTH${c.reset}`);
+    for (const instance of report.instances) {
+        let health = `${c.dim}stopped${c.reset}`;
+        if (instance.running) {
+            health = instance.healthy ? `${c.green}● healthy${c.reset}` : `${c.red}● not answering${c.reset}`;
+            if (instance.mock) health += ` ${c.dim}(mock)${c.reset}`;
+        }
+        const uptime = instance.uptimeSeconds === null ? '-' : formatDuration(instance.uptimeSeconds * 1000);
+        console.log(`  ${instance.name.padEnd(16)} ${String(instance.pid ?? '-').padEnd(8)} ${String(instance.port).padEnd(6)} ${uptime.padEnd(12)} ${health}`);
+    }
+    console.log();
+}
+
+async function cmdStatus() {
+    if (jsonMode) {
+        printJson(await buildStatusReport());
+        return;
+    }
+
+    printBanner('VertexHub — Status Check', c.blue);
 
     // Proxy status
     const running = await isProxyRunning();
+    if (PROJECT) {
+        const set = Object.keys(PROJECT.overrides).filter(key => config.sources[key] === 'project');
+        console.log(`  Project: ${sanitizeForTerminal(PROJECT.file)}${set.length ? ` ${c.dim}(${set.join(', ')})${c.reset}` : ''}`);
+    } else if (PROJECT_ERROR) {
+        console.log(`  Project: ${c.yellow}● Ignored${c.reset} (${sanitizeForTerminal(PROJECT_ERROR.message)})`);
+    }
+    if (INSTANCE !== DEFAULT_INSTANCE) console.log(`  Instance: ${INSTANCE}`);
     console.log(`  Proxy: ${running ? `${c.green}● Running${c.reset} at ${PROXY_URL}` : `${c.red}● Stopped${c.reset}`}`);
 
+    const tracked = getTrackedProxy();
+    if (tracked) {
+        console.log(`  PID: ${tracked.pid} (${tracked.daemon ? 'daemon' : 'session'}${tracked.mock ? ', mock proxy' : ''}, started ${tracked.startedAt})`);
+    }
+
     if (running) {
         const status = await getProxyStatus();
         if (status?.health) {
-            console.log(`  Version: ${status.health.version || 'unknown'}`);
+            console.log(`  Version: ${sanitizeForTerminal(String(status.health.version || 'unknown'))}`);
+            if (!tracked?.mock) warnUnsupportedProxyVersion(status.health.version);
             console.log(`  Strategy: ${status.health.strategy || 'unknown'}`);
         }
         if (status?.limits) {
-            const accounts = Array.isArray(status.limits) ? status.limits : [status.limits];
+            const accounts = normalizeAccounts(status.limits);
             console.log(`  Accounts: ${accounts.length}`);
             for (const acc of accounts) {
-                const name = String(acc.email || acc.id || 'unknown').substring(0, 50);
-                console.log(`    → ${name}: ${acc.status || 'active'}`);
+                const name = sanitizeForTerminal(String(acc.email || acc.id || 'unknown').substring(0, 50));
+                console.log(`    → ${name}: ${sanitizeForTerminal(acc.status || 'active')}`);
             }
+            if (accounts.length > 0) console.log(`    Per-model quota: ${c.dim}vertexhub usage${c.reset}`);
         }
     }
 
@@ -504,28 +2016,25 @@ ${c.bold}${c.blue}╔═══════════════════
     }
 
     // Claude Code config
-    const configured = existsSync(CLAUDE_SETTINGS_FILE);
-    if (configured) {
-        try {
-            const settings = JSON.parse(readFileSync(CLAUDE_SETTINGS_FILE, 'utf-8'));
-            const baseUrl = settings?.env?.ANTHROPIC_BASE_URL;
-            const model = settings?.env?.ANTHROPIC_MODEL;
-            console.log(`  Claude Config: ${c.green}● Configured${c.reset}`);
-            console.log(`    Base URL: ${baseUrl || 'not set'}`);
-            console.log(`    Model: ${model || 'not set'}`);
-        } catch {
-            console.log(`  Claude Config: ${c.yellow}● Invalid JSON${c.reset}`);
-        }
+    const settings = readClaudeSettingsSummary();
+    if (isIsolated()) {
+        console.log(`  Claude Config: ${c.green}● Isolated${c.reset} (${INSTANCE_PATHS.claudeDir})`);
+        console.log(`    Model: ${sanitizeForTerminal(config.values['models.main'])}`);
+    } else if (settings.exists && settings.valid) {
+        console.log(`  Claude Config: ${c.green}● Configured${c.reset}`);
+        console.log(`    Base URL: ${sanitizeForTerminal(settings.baseUrl || 'not set')}`);
+        console.log(`    Model: ${sanitizeForTerminal(settings.model || 'not set')}`);
+    } else if (settings.exists) {
+        console.log(`  Claude Config: ${c.yellow}● Invalid JSON${c.reset}`);
     } else {
         console.log(`  Claude Config: ${c.red}● Not configured${c.reset}`);
         console.log(`    Run: ${c.dim}vertexhub start${c.reset} to auto-configure`);
     }
 
     // Claude Code installed?
-    try {
-        execSync('which claude', { stdio: 'pipe', timeout: 5000 });
+    if (findBinary('claude')) {
         console.log(`  Claude Code: ${c.green}● Installed${c.reset}`);
-    } catch {
+    } else {
         console.log(`  Claude Code: ${c.red}● Not found${c.reset}`);
     }
 
@@ -536,99 +2045,1755 @@ ${c.bold}${c.blue}╔═══════════════════
     console.log();
 }
 
-async function cmdAccounts() {
-    if (!(await isProxyRunning())) {
-        err('Proxy not running. Start it first: vertexhub start');
-        process.exit(1);
-    }
+// --- Usage ---
 
-    validateProxyDir();
-    const nodeBin = requireNodeBin();
-    const accountsScript = join(PROXY_DIR, 'src', 'cli', 'accounts.js');
+/**
+ * `usage --json` schema (schemaVersion 1):
+ *   { schemaVersion, timestamp,
+ *     accounts: [{ email, status,
+ *       models: [{ model, remainingFraction: number|null, resetAt: ISO|null }] }] }
+ */
+function buildUsageReport(limits) {
+    return {
+        schemaVersion: JSON_SCHEMA_VERSION,
+        timestamp: new Date().toISOString(),
+        accounts: normalizeAccounts(limits).map(acc => ({
+            email: acc.email ?? acc.id ?? null,
+            status: acc.status || 'active',
+            models: getAccountQuotas(acc),
+        })),
+    };
+}
 
-    if (!existsSync(accountsScript)) {
-        err(`Accounts script not found: ${accountsScript}`);
-        process.exit(1);
+function formatQuotaBar(fraction, width = 20) {
+    if (fraction === null) return `${c.dim}${'·'.repeat(width)}${c.reset}`;
+    const filled = Math.round(fraction * width);
+    const color = fraction > 0.5 ? c.green : fraction > 0.2 ? c.yellow : c.red;
+    return `${color}${'█'.repeat(filled)}${c.dim}${'░'.repeat(width - filled)}${c.reset}`;
+}
+
+/**
+ * Render the usage report as lines. `previous` is the report from the last
+ * refresh (or null); quotas that dropped since then are marked with ▼.
+ */
+function renderUsage(report, previous) {
+    const lines = [];
+    const before = new Map();
+    for (const acc of previous?.accounts || []) {
+        for (const q of acc.models) before.set(`${acc.email}\0${q.model}`, q.remainingFraction);
     }
 
-    // Only pass known safe subcommands
-    const allowedSubcommands = ['add', 'list', 'remove', 'verify'];
-    const subArgs = process.argv.slice(3).filter(arg => allowedSubcommands.includes(arg));
+    if (report.accounts.length === 0) {
+        lines.push(`  ${c.yellow}No accounts linked.${c.reset} Run: ${c.dim}vertexhub login${c.reset}`);
+    }
 
-    const accountsProcess = spawn(nodeBin, [accountsScript, ...subArgs], {
-        env: { ...process.env, PORT: PROXY_PORT },
-        cwd: PROXY_DIR,
-        stdio: 'inherit',
-    });
-
-    await new Promise((resolve) => {
-        accountsProcess.on('exit', resolve);
-        accountsProcess.on('error', (error) => {
-            err(`Failed to launch accounts manager: ${error.message}`);
-            resolve();
+    const modelWidth = Math.min(40, Math.max(10, ...report.accounts.flatMap(a => a.models.map(q => q.model.length))));
+    for (const acc of report.accounts) {
+        const name = sanitizeForTerminal(String(acc.email ?? 'unknown').substring(0, 50));
+        const drained = acc.models.some(q => {
+            const prev = before.get(`${acc.email}\0${q.model}`);
+            return prev != null && q.remainingFraction != null && q.remainingFraction < prev;
         });
+        const statusColor = acc.status === 'active' || acc.status === 'ok' ? c.green : c.yellow;
+        lines.push(`  ${c.bold}${name}${c.reset} ${statusColor}${sanitizeForTerminal(acc.status)}${c.reset}${drained ? ` ${c.yellow}▼ in use${c.reset}` : ''}`);
+
+        if (acc.models.length === 0) {
+            lines.push(`    ${c.dim}No quota information reported${c.reset}`);
+        }
+        for (const q of acc.models) {
+            const prev = before.get(`${acc.email}\0${q.model}`);
+            const dropped = prev != null && q.remainingFraction != null && q.remainingFraction < prev;
+            const percent = q.remainingFraction === null ? '   ?' : `${Math.round(q.remainingFraction * 100)}%`.padStart(4);
+            const resetIn = q.resetAt ? Date.parse(q.resetAt) - Date.now() : null;
+            const reset = resetIn === null ? '' : resetIn > 0 ? `resets in ${formatDuration(resetIn)}` : 'reset due';
+            lines.push(`    ${sanitizeForTerminal(q.model.substring(0, 40)).padEnd(modelWidth)}  ${formatQuotaBar(q.remainingFraction)} ${percent}${dropped ? ` ${c.yellow}▼${c.reset}` : '  '}  ${c.dim}${reset}${c.reset}`);
+        }
+        lines.push('');
+    }
+    return lines;
+}
+
+const formatCount = (n) => n.toLocaleString('en-US');
+
+/**
+ * `usage --since/--by --json` schema (schemaVersion 1):
+ *   { schemaVersion, since: ISO|null, by, file,
+ *     rows: [{ key, requests, inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens }],
+ *     totals: { same fields, key: 'total' } }
+ */
+function cmdUsageHistory() {
+    const by = cli.options.by ?? 'model';
+    if (!api.USAGE_GROUPS.includes(by)) {
+        const message = `Invalid --by value: ${sanitizeForTerminal(by)} (use ${api.USAGE_GROUPS.join(', ')})`;
+        if (jsonMode) failJson('INVALID_OPTION', message);
+        err(message);
+        process.exit(1);
+    }
+    const since = cli.options.since === undefined ? null : parseSince(cli.options.since);
+    if (cli.options.since !== undefined && since === null) {
+        const message = `Invalid --since value: ${sanitizeForTerminal(cli.options.since)} (use e.g. 12h, 7d or an ISO date)`;
+        if (jsonMode) failJson('INVALID_OPTION', message);
+        err(message);
+        process.exit(1);
+    }
+
+    const file = INSTANCE_PATHS.usageFile;
+    const { rows, totals } = api.summarizeUsage(api.readUsageRecords(file, { since }), by);
+    if (jsonMode) {
+        printJson({ schemaVersion: JSON_SCHEMA_VERSION, since: since === null ? null : new Date(since).toISOString(), by, file, rows, totals });
+        return;
+    }
+
+    const period = since === null ? 'all time' : `since ${new Date(since).toLocaleString()}`;
+    console.log(`\n  ${c.bold}Token usage${c.reset} ${c.dim}(${period}, by ${by})${c.reset}\n`);
+    if (rows.length === 0) {
+        console.log(`  No usage recorded. Metering is enabled with: ${c.dim}vertexhub start --meter${c.reset}\n`);
+        return;
+    }
+
+    const keyWidth = Math.min(40, Math.max(12, ...rows.map(row => row.key.length)));
+    const line = (row, color = '') => `  ${color}${sanitizeForTerminal(row.key.slice(0, 40)).padEnd(keyWidth)}  ${
+        [row.requests, row.inputTokens, row.outputTokens, row.cacheReadTokens].map(n => formatCount(n).padStart(12)).join('')}${c.reset}`;
+    console.log(`  ${c.bold}${by.toUpperCase().padEnd(keyWidth)}  ${['REQUESTS', 'INPUT', 'OUTPUT', 'CACHE READ'].map(h => h.padStart(12)).join('')}${c.reset}`);
+    for (const row of rows) console.log(line(row));
+    console.log(line(totals, c.bold));
+    console.log();
+}
+
+async function cmdUsage() {
+    const watch = !!cli.options.watch;
+    const interval = cli.options.interval === undefined ? 5 : Number(cli.options.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 3600) {
+        err('--interval must be an integer between 1 and 3600 (seconds)');
+        process.exit(1);
+    }
+    if (watch && jsonMode) failJson('INVALID_OPTION', '--watch cannot be combined with --json');
+    if (cli.options.since !== undefined || cli.options.by !== undefined) {
+        if (watch) {
+            err('--watch shows live quota; it cannot be combined with --since or --by');
+            process.exit(1);
+        }
+        cmdUsageHistory();
+        return;
+    }
+
+    if (!watch) {
+        const status = await getProxyStatus();
+        if (!status?.limits) {
+            const message = status ? 'The proxy did not return account limits' : `Proxy not running at ${PROXY_URL}`;
+            if (jsonMode) failJson(status ? 'NO_ACCOUNT_LIMITS' : 'PROXY_NOT_RUNNING', message);
+            err(message);
+            if (!status) err('Start it first: vertexhub start');
+            process.exit(1);
+        }
+        const report = buildUsageReport(status.limits);
+        if (jsonMode) {
+            printJson(report);
+            return;
+        }
+        console.log();
+        console.log(renderUsage(report, null).join('\n'));
+        return;
+    }
+
+    // Redraw from the top-left corner on every refresh; clear below to drop stale rows
+    const redraw = process.stdout.isTTY;
+    let previous = null;
+    for (;;) {
+        const status = await getProxyStatus();
+        const report = status?.limits ? buildUsageReport(status.limits) : null;
+        const header = `${c.bold}${c.magenta}VertexHub usage${c.reset} ${c.dim}${PROXY_URL} · every ${interval}s · ${new Date().toLocaleTimeString()} · Ctrl+C to exit${c.reset}`;
+        const body = report
+            ? renderUsage(report, previous)
+            : [`  ${c.red}● Proxy not reachable${c.reset} ${c.dim}(retrying)${c.reset}`, ''];
+
+        process.stdout.write(`${redraw ? '\x1b[H\x1b[2J' : '\n'}${header}\n\n${body.join('\n')}\n`);
+        if (report) previous = report;
+        await new Promise(r => setTimeout(r, interval * 1000));
+    }
+}
+
+// --- Accounts ---
+
+const ACCOUNT_ACTIONS = ['list', 'add', 'remove', 'verify', 'disable', 'enable'];
+
+// /account-limits statuses of accounts the proxy cannot use
+const FAILED_ACCOUNT_STATUSES = ['invalid', 'error', 'expired'];
+
+async function cmdAccounts() {
+    const [action = 'list', ...rest] = cli.positionals;
+    if (jsonMode && action !== 'list') {
+        failJson('INVALID_OPTION', '--json is only supported for: vertexhub accounts [list]');
+    }
+
+    try {
+        switch (action) {
+            case 'list': return await cmdAccountsList(rest);
+            case 'add': return await cmdAccountsAdd(rest);
+            case 'remove': return await cmdAccountsRemove(rest);
+            case 'verify': return await cmdAccountsVerify(rest);
+            case 'disable': return await cmdAccountsSetEnabled(rest, false);
+            case 'enable': return await cmdAccountsSetEnabled(rest, true);
+            default:
+                err(`Unknown accounts subcommand: ${sanitizeForTerminal(action)}`);
+                printCommandHelp('accounts');
+                process.exit(1);
+        }
+    } catch (e) {
+        if (!(e instanceof VertexHubError)) throw e;
+        if (jsonMode) failJson(e.code, e.message);
+        err(e.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * The email argument of an accounts subcommand. Exits with `usage` when it is
+ * missing (unless `optional`), not an email address, or followed by more.
+ */
+function readAccountEmail(args, usage, { optional = false } = {}) {
+    const [raw, ...extra] = args;
+    if (raw === undefined && optional) return null;
+    const email = sanitizeEmail(raw);
+    if (!email) {
+        err(raw === undefined ? `Usage: ${usage}` : `Invalid email address: ${sanitizeForTerminal(raw)}`);
+        process.exit(1);
+    }
+    if (extra.length > 0) {
+        err(`Unexpected argument: ${sanitizeForTerminal(extra[0])}`);
+        process.exit(1);
+    }
+    return email;
+}
+
+function rejectExtraArguments(args) {
+    if (args.length === 0) return;
+    if (jsonMode) failJson('INVALID_OPTION', `Unexpected argument: ${args[0]}`);
+    err(`Unexpected argument: ${sanitizeForTerminal(args[0])}`);
+    process.exit(1);
+}
+
+const sameEmail = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+
+/**
+ * Run `action` with the proxy stopped, then start it again if it was running
+ * (in the background, as `restart` does). A proxy VertexHub did not start,
+ * or one a `start` session supervises, is never stopped.
+ */
+async function withProxyStopped(action) {
+    const state = getTrackedProxy();
+    if (!state && await isProxyRunning()) {
+        err(`A proxy is answering at ${PROXY_URL}, but VertexHub has no record of starting it.`);
+        err('Stop it from the terminal that started it, then try again.');
+        process.exit(1);
+    }
+    if (state && !state.daemon) {
+        // Its session's supervisor would restart it with the old accounts
+        err(`The proxy (PID ${state.pid}) belongs to a running start session.`);
+        err('Exit that session, then try again.');
+        process.exit(1);
+    }
+
+    if (state) {
+        log(`Stopping proxy (PID ${state.pid}) to update accounts...`);
+        await terminateProxy(state);
+    }
+    try {
+        return await action();
+    } finally {
+        if (state) await launchProxy({ daemon: true, mock: state.mock ? { fixture: state.fixture ?? null } : null });
+    }
+}
+
+/**
+ * Run `action` against a running proxy, starting one for the duration if
+ * none is running.
+ */
+async function withProxyRunning(action) {
+    if (await isProxyRunning()) return action();
+
+    validateProxyDir();
+    await resolvePortConflict();
+    await launchProxy({ daemon: true });
+    try {
+        return await action();
+    } finally {
+        const state = getTrackedProxy();
+        if (state) {
+            await terminateProxy(state);
+            log('Proxy stopped again.');
+        }
+    }
+}
+
+/**
+ * `accounts list`: the instance's account store, with the live status and
+ * quota of each account when the proxy is running. `--json` schema:
+ *   { schemaVersion, file, proxyRunning,
+ *     accounts: [{ email, status, enabled, invalid, invalidReason, limits }] }
+ * status and limits come from /account-limits and are null while the proxy is
+ * down. Accounts the proxy serves but the store lacks (e.g. the mock proxy's)
+ * are listed too.
+ */
+async function cmdAccountsList(args) {
+    rejectExtraArguments(args);
+    const store = api.readAccountStore({ config: config.values });
+    const running = await isProxyRunning();
+    const status = running ? await getProxyStatus() : null;
+    const live = status?.limits ? normalizeAccounts(status.limits).map(toAccountJson) : [];
+
+    const accounts = store.accounts.map((acc) => {
+        const entry = live.find(item => sameEmail(item.email, acc.email));
+        return { email: acc.email, status: entry?.status ?? null, enabled: acc.enabled, invalid: acc.invalid, invalidReason: acc.invalidReason, limits: entry?.limits ?? null };
     });
+    for (const entry of live) {
+        if (!accounts.some(acc => sameEmail(acc.email, entry.email))) {
+            accounts.push({ email: entry.email, status: entry.status, enabled: true, invalid: false, invalidReason: null, limits: entry.limits });
+        }
+    }
+
+    if (jsonMode) {
+        printJson({ schemaVersion: JSON_SCHEMA_VERSION, file: store.file, proxyRunning: running, accounts });
+        return;
+    }
+
+    console.log(`\n${c.bold}Linked accounts${c.reset} ${c.dim}(${store.file})${c.reset}\n`);
+    if (accounts.length === 0) {
+        console.log(`  ${c.yellow}No accounts linked.${c.reset} Run: ${c.dim}vertexhub login${c.reset}\n`);
+        return;
+    }
+    const width = Math.min(50, Math.max(...accounts.map(acc => String(acc.email ?? 'unknown').length)));
+    for (const acc of accounts) {
+        const name = sanitizeForTerminal(String(acc.email ?? 'unknown').substring(0, 50)).padEnd(width);
+        if (!acc.enabled) {
+            console.log(`  ${c.dim}○ ${name}  disabled${c.reset}`);
+        } else if (acc.invalid || FAILED_ACCOUNT_STATUSES.includes(acc.status)) {
+            const reason = acc.invalidReason ?? acc.status ?? 'invalid';
+            console.log(`  ${c.red}✗${c.reset} ${name}  ${c.red}${sanitizeForTerminal(reason)}${c.reset}`);
+        } else {
+            console.log(`  ${c.green}●${c.reset} ${name}  ${sanitizeForTerminal(acc.status ?? 'linked')}`);
+        }
+    }
+    console.log(running
+        ? `\n  Per-model quota: ${c.dim}vertexhub usage${c.reset}\n`
+        : `\n  ${c.dim}Proxy not running: status shows what the store records.${c.reset}\n`);
+}
+
+async function cmdAccountsAdd(args) {
+    rejectExtraArguments(args);
+    // Before withProxyStopped, which would otherwise look at the default port
+    const createdInstancePort = await claimInstancePort();
+    if (createdInstancePort) ok(`Created instance "${INSTANCE}" on port ${createdInstancePort}`);
+    await withProxyStopped(cmdLogin);
+}
+
+async function cmdAccountsRemove(args) {
+    const email = readAccountEmail(args, 'vertexhub accounts remove <email>');
+    const removed = await withProxyStopped(() => api.removeAccount(email, { config: config.values }));
+    ok(`Removed account ${sanitizeForTerminal(removed)}`);
 }
 
+async function cmdAccountsSetEnabled(args, enabled) {
+    const action = enabled ? 'enable' : 'disable';
+    const email = readAccountEmail(args, `vertexhub accounts ${action} <email>`);
+    const result = await withProxyStopped(() => api.setAccountEnabled(email, enabled, { config: config.values }));
+    const name = sanitizeForTerminal(result.email);
+    ok(result.changed ? `Account ${name} ${action}d` : `Account ${name} is already ${action}d`);
+}
+
+/**
+ * `accounts verify [email]`: the proxy refreshes each account's token to read
+ * its quota, so /account-limits tells which accounts work. Exits 1 when a
+ * checked account failed, or the email is not served by the proxy.
+ */
+async function cmdAccountsVerify(args) {
+    const email = readAccountEmail(args, 'vertexhub accounts verify [email]', { optional: true });
+    const status = await withProxyRunning(() => getProxyStatus());
+    if (!status?.limits) {
+        err(`Could not fetch account limits from ${PROXY_URL}/account-limits`);
+        process.exit(1);
+    }
+
+    const accounts = normalizeAccounts(status.limits)
+        .filter(acc => email === null || sameEmail(acc.email ?? acc.id, email));
+    if (accounts.length === 0) {
+        err(email ? `The proxy has no account ${sanitizeForTerminal(email)}. See: vertexhub accounts list` : 'No accounts linked. Run: vertexhub login');
+        process.exit(1);
+    }
+
+    let failures = 0;
+    for (const acc of accounts) {
+        const name = sanitizeForTerminal(String(acc.email || acc.id || 'unknown').substring(0, 50));
+        const state = String(acc.status || 'active');
+        if (FAILED_ACCOUNT_STATUSES.includes(state)) {
+            failures++;
+            const detail = acc.error ?? acc.invalidReason;
+            console.log(`  ${c.red}✗${c.reset} ${name}: ${sanitizeForTerminal(state)}${detail ? ` ${c.dim}(${sanitizeForTerminal(String(detail))})${c.reset}` : ''}`);
+        } else {
+            console.log(`  ${c.green}✓${c.reset} ${name}: ${sanitizeForTerminal(state)}`);
+        }
+    }
+    if (failures > 0) {
+        err(`${failures} of ${accounts.length} account${accounts.length === 1 ? '' : 's'} failed. Relink with: vertexhub login`);
+        process.exit(1);
+    }
+}
+
+// --- Models ---
+
 async function cmdModels() {
+    const [action = 'list', ...rest] = cli.positionals;
+    if (jsonMode && action !== 'list') {
+        failJson('INVALID_OPTION', '--json is only supported for: vertexhub models [list]');
+    }
+
+    switch (action) {
+        case 'list': return cmdModelsList();
+        case 'use': return cmdModelsUse(rest);
+        case 'profiles': return cmdModelsProfiles();
+        case 'profile': return cmdModelsProfile(rest);
+        default:
+            err(`Unknown models action: ${sanitizeForTerminal(action)}`);
+            printCommandHelp('models');
+            process.exit(1);
+    }
+}
+
+/**
+ * `models --json` schema:
+ *   { schemaVersion, models: [{ id, slots: [slot...] }], slots: { main, opus, sonnet, haiku, subagent } }
+ * where `slots` on a model lists the configured slots that use it.
+ */
+async function cmdModelsList() {
     if (!(await isProxyRunning())) {
+        if (jsonMode) failJson('PROXY_NOT_RUNNING', 'Proxy not running. Start it first: vertexhub start');
         err('Proxy not running. Start it first: vertexhub start');
         process.exit(1);
     }
 
     const models = await getModels();
     if (!models?.data || !Array.isArray(models.data)) {
+        if (jsonMode) failJson('PROXY_ERROR', 'Could not fetch models from proxy.');
         err('Could not fetch models from proxy.');
         process.exit(1);
     }
 
+    if (jsonMode) {
+        printJson({
+            schemaVersion: JSON_SCHEMA_VERSION,
+            models: models.data.map(model => {
+                const id = String(model.id ?? '');
+                return { id, slots: MODEL_SLOTS.filter(slot => config.values[`models.${slot}`] === id) };
+            }),
+            slots: Object.fromEntries(MODEL_SLOTS.map(slot => [slot, config.values[`models.${slot}`]])),
+        });
+        return;
+    }
+
     console.log(`\n${c.bold}Available Models:${c.reset}\n`);
     for (const model of models.data) {
         // Sanitize model id for display (prevent terminal escape injection)
         const id = String(model.id || '').replace(/[\x00-\x1f\x7f]/g, '');
-        console.log(`  ${c.cyan}${id}${c.reset}`);
+        const slots = MODEL_SLOTS.filter(slot => config.values[`models.${slot}`] === id);
+        console.log(`  ${c.cyan}${id}${c.reset}${slots.length ? ` ${c.dim}← ${slots.join(', ')}${c.reset}` : ''}`);
     }
     console.log(`\n  Total: ${models.data.length} models\n`);
 }
 
+/**
+ * Persist model slots to the config file, then refresh Claude Code's
+ * settings if they already point at VertexHub so the change takes effect.
+ */
+function saveModelSlots(slots) {
+    const data = loadConfigFileForWrite();
+    for (const [slot, id] of Object.entries(slots)) {
+        setConfigPath(data, `models.${slot}`, id);
+    }
+    saveConfigFile(data);
+    reloadConfig();
+
+    for (const [slot, id] of Object.entries(slots)) {
+        ok(`models.${slot} = ${id}`);
+    }
+    if (slots.main && process.env.VERTEXHUB_MODEL) {
+        warn('VERTEXHUB_MODEL is set and takes precedence over models.main.');
+    }
+    const projectSlots = Object.keys(slots).filter(slot => config.sources[`models.${slot}`] === 'project');
+    if (projectSlots.length > 0) {
+        warn(`${PROJECT.file} sets ${projectSlots.map(slot => `models.${slot}`).join(', ')} for sessions in this project.`);
+    }
+
+    try {
+        const settings = JSON.parse(readFileSync(CLAUDE_SETTINGS_FILE, 'utf-8'));
+        if (settings?.env?.ANTHROPIC_BASE_URL === api.getProxyUrl(getSharedConfigValues())) configureClaudeSettings();
+    } catch { /* not configured yet; `vertexhub start` will write it */ }
+}
+
+async function cmdModelsUse(args) {
+    const [rawId, ...extra] = args;
+    const slot = cli.options.slot || 'main';
+    const id = sanitizeModelId(rawId);
+
+    if (!id) {
+        err(rawId ? `Invalid model ID: ${sanitizeForTerminal(rawId)}` : 'Usage: vertexhub models use <id> [--slot <slot>]');
+        process.exit(1);
+    }
+    if (extra.length > 0) {
+        err(`Unexpected argument: ${sanitizeForTerminal(extra[0])}`);
+        process.exit(1);
+    }
+    if (slot !== 'all' && !MODEL_SLOTS.includes(slot)) {
+        err(`Unknown slot: ${sanitizeForTerminal(slot)} (expected ${MODEL_SLOTS.join(', ')} or all)`);
+        process.exit(1);
+    }
+
+    await requireKnownModels([id], { verify: !cli.options.noVerify });
+
+    const slots = slot === 'all'
+        ? Object.fromEntries(MODEL_SLOTS.map(s => [s, id]))
+        : { [slot]: id };
+    saveModelSlots(slots);
+}
+
+function cmdModelsProfiles() {
+    const profiles = getProfiles();
+    const userProfiles = loadConfigFile().data.profiles || {};
+
+    console.log(`\n${c.bold}Model Profiles:${c.reset}\n`);
+    for (const [name, profile] of Object.entries(profiles)) {
+        const origin = Object.hasOwn(userProfiles, name) ? 'config' : 'built-in';
+        console.log(`  ${c.cyan}${name}${c.reset} ${c.dim}(${origin})${c.reset}`);
+        for (const slot of MODEL_SLOTS) {
+            if (profile[slot]) console.log(`    ${slot.padEnd(9)} ${sanitizeForTerminal(profile[slot])}`);
+        }
+    }
+    console.log(`\n  Use for one session: ${c.dim}vertexhub start --profile <name>${c.reset}\n`);
+}
+
+async function cmdModelsProfile(args) {
+    const [action, rawName] = args;
+    const name = sanitizeProfileName(rawName);
+
+    if (!['use', 'save', 'delete'].includes(action) || !name) {
+        if (rawName && !name) err(`Invalid profile name: ${sanitizeForTerminal(rawName)}`);
+        printCommandHelp('models');
+        process.exit(1);
+    }
+
+    switch (action) {
+        case 'use': {
+            const profiles = getProfiles();
+            if (!Object.hasOwn(profiles, name)) {
+                err(`Unknown profile: ${name}`);
+                process.exit(1);
+            }
+            const profile = profiles[name];
+            await requireKnownModels(Object.values(profile), { verify: !cli.options.noVerify });
+            saveModelSlots(profile);
+            break;
+        }
+        case 'save': {
+            const data = loadConfigFileForWrite();
+            if (!isPlainObject(data.profiles)) data.profiles = {};
+            data.profiles[name] = Object.fromEntries(MODEL_SLOTS.map(slot => [slot, config.values[`models.${slot}`]]));
+            saveConfigFile(data);
+            ok(`Saved current models as profile "${name}"`);
+            break;
+        }
+        case 'delete': {
+            const data = loadConfigFileForWrite();
+            if (!isPlainObject(data.profiles) || !Object.hasOwn(data.profiles, name)) {
+                err(Object.hasOwn(BUILTIN_PROFILES, name)
+                    ? `"${name}" is a built-in profile and cannot be deleted.`
+                    : `Unknown profile: ${name}`);
+                process.exit(1);
+            }
+            delete data.profiles[name];
+            if (Object.keys(data.profiles).length === 0) delete data.profiles;
+            saveConfigFile(data);
+            ok(`Deleted profile "${name}"`);
+            break;
+        }
+    }
+}
+
+// --- Ping ---
+
+const formatMs = (ms) => (ms === null ? '-' : ms < 10000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+const formatRate = (rate) => (rate === null ? '-' : `${rate} tok/s`);
+
+/**
+ * Read a positive integer option, or exit with a usage error.
+ */
+function readIntegerOption(name, fallback, max) {
+    const raw = cli.options[name];
+    const value = raw === undefined ? fallback : Number(raw);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        const message = `--${name} must be an integer between 1 and ${max}`;
+        if (jsonMode) failJson('INVALID_OPTION', message);
+        err(message);
+        process.exit(1);
+    }
+    return value;
+}
+
+function printPingResult(result) {
+    const model = sanitizeForTerminal(result.model);
+    if (!result.ok) {
+        console.log(`  ${c.red}✗${c.reset} ${model}  ${c.red}${sanitizeForTerminal(result.error)}${c.reset}`);
+        return;
+    }
+    console.log(`  ${c.green}✓${c.reset} ${model}  ${c.dim}HTTP ${result.status}${c.reset}  TTFT ${formatMs(result.ttftMs)}  total ${formatMs(result.latencyMs)}  ${formatRate(result.tokensPerSecond)}`);
+}
+
+function printPingSummary(model, attempts, summary) {
+    const mark = summary.failed === 0 ? `${c.green}✓${c.reset}` : summary.ok === 0 ? `${c.red}✗${c.reset}` : `${c.yellow}!${c.reset}`;
+    console.log(`  ${mark} ${sanitizeForTerminal(model)}  ${c.dim}${summary.ok}/${summary.count} ok${c.reset}`);
+    if (summary.ok > 0) {
+        const columns = ['min', 'p50', 'p90', 'p99', 'max'];
+        console.log(`      ${''.padEnd(10)}${columns.map(h => h.padStart(10)).join('')}`);
+        const row = (label, stats, format) => console.log(`      ${label.padEnd(10)}${columns.map(k => format(stats[k]).padStart(10)).join('')}`);
+        row('TTFT', summary.ttftMs, formatMs);
+        row('Total', summary.latencyMs, formatMs);
+        row('Tok/s', summary.tokensPerSecond, rate => (rate === null ? '-' : String(rate)));
+    }
+    // Each distinct failure once, with how often it happened
+    const errors = new Map();
+    for (const attempt of attempts.filter(a => !a.ok)) errors.set(attempt.error, (errors.get(attempt.error) || 0) + 1);
+    for (const [message, count] of errors) {
+        console.log(`      ${c.red}${count}× ${sanitizeForTerminal(message)}${c.reset}`);
+    }
+}
+
+/**
+ * `ping --json` schema (schemaVersion 1):
+ *   { schemaVersion, url, repeat, ok,
+ *     models: [{ model, ok, attempts: [pingModel() result...], summary: summarizePings() }] }
+ */
+async function cmdPing() {
+    const [rawModel, ...extra] = cli.positionals;
+    const usageError = (message) => {
+        if (jsonMode) failJson('INVALID_OPTION', message);
+        err(message);
+        printCommandHelp('ping');
+        process.exit(1);
+    };
+    if (extra.length > 0) usageError(`Unexpected argument: ${sanitizeForTerminal(extra[0])}`);
+    if (cli.options.all && rawModel !== undefined) usageError('Pass a model or --all, not both');
+
+    const repeat = readIntegerOption('repeat', 1, 100);
+    const timeout = readIntegerOption('timeout', 60, 600) * 1000;
+
+    let models;
+    if (rawModel !== undefined) {
+        const id = sanitizeModelId(rawModel);
+        if (!id) usageError(`Invalid model ID: ${sanitizeForTerminal(rawModel)}`);
+        models = [id];
+    } else if (!cli.options.all) {
+        models = [config.values['models.main']];
+    }
+
+    if (!(await isProxyRunning())) {
+        if (jsonMode) failJson('PROXY_NOT_RUNNING', 'Proxy not running. Start it first: vertexhub start');
+        err('Proxy not running. Start it first: vertexhub start');
+        process.exit(1);
+    }
+
+    if (!models) {
+        const list = await getModels();
+        models = Array.isArray(list?.data) ? list.data.map(m => sanitizeModelId(String(m?.id ?? ''))).filter(Boolean) : [];
+        if (models.length === 0) {
+            if (jsonMode) failJson('PROXY_ERROR', 'Could not fetch models from proxy.');
+            err('Could not fetch models from proxy.');
+            process.exit(1);
+        }
+    }
+
+    if (!jsonMode) {
+        const what = repeat > 1 ? `${repeat} requests per model` : 'one request per model';
+        console.log(`\n${c.bold}Pinging ${models.length} model${models.length === 1 ? '' : 's'}${c.reset} ${c.dim}via ${PROXY_URL} (${what})${c.reset}\n`);
+    }
+
+    // Sequential on purpose: parallel requests would skew each other's latency
+    const report = [];
+    for (const model of models) {
+        const attempts = [];
+        for (let i = 0; i < repeat; i++) {
+            attempts.push(await api.pingModel(model, { config: config.values, timeout }));
+        }
+        const summary = api.summarizePings(attempts);
+        report.push({ model, ok: summary.failed === 0, attempts, summary });
+        if (jsonMode) continue;
+        if (repeat === 1) printPingResult(attempts[0]); else printPingSummary(model, attempts, summary);
+    }
+
+    const allOk = report.every(entry => entry.ok);
+    if (jsonMode) {
+        printJson({ schemaVersion: JSON_SCHEMA_VERSION, url: PROXY_URL, repeat, ok: allOk, models: report });
+    } else {
+        const failed = report.filter(entry => !entry.ok).length;
+        console.log();
+        if (failed > 0) {
+            err(`${failed} of ${report.length} model${report.length === 1 ? '' : 's'} failed`);
+        } else {
+            ok(`${report.length === 1 ? 'Model answers' : `All ${report.length} models answer`}`);
+        }
+        console.log();
+    }
+    if (!allOk) process.exit(1);
+}
+
+// --- Strategy ---
+
+/**
+ * `vertexhub strategy` shows the configured and the running strategy;
+ * `vertexhub strategy <name>` saves a new one and restarts a background proxy
+ * with it. `--json` schema:
+ *   { schemaVersion, configured, source, active, strategies: [{ name, description }] }
+ * where `active` is what the proxy's /health reports (null when it is down).
+ */
+async function cmdStrategy() {
+    const [name, ...extra] = cli.positionals;
+    if (extra.length > 0) {
+        err(`Unexpected argument: ${sanitizeForTerminal(extra[0])}`);
+        process.exit(1);
+    }
+    if (name === undefined) return showStrategy();
+    if (jsonMode) failJson('INVALID_OPTION', '--json is only supported for: vertexhub strategy');
+
+    const strategy = sanitizeStrategy(name);
+    if (!strategy) {
+        err(`Unknown strategy: ${sanitizeForTerminal(name)}`);
+        err(`Available: ${Object.keys(PROXY_STRATEGIES).join(', ')} or default`);
+        process.exit(1);
+    }
+
+    const data = loadConfigFileForWrite();
+    setConfigPath(data, 'strategy', strategy);
+    saveConfigFile(data);
+    reloadConfig();
+    ok(`strategy = ${strategy}`);
+    if (config.sources.strategy !== 'file') {
+        warn(`VERTEXHUB_STRATEGY is set and takes precedence (strategy: ${config.values.strategy}).`);
+    }
+
+    const state = getTrackedProxy();
+    if (!state) {
+        if (await isProxyRunning()) {
+            warn(`A proxy is answering at ${PROXY_URL}, but VertexHub has no record of starting it.`);
+            warn('Restart it yourself to apply the new strategy.');
+        } else {
+            log(`The proxy is not running; ${c.dim}vertexhub start${c.reset} will use this strategy.`);
+        }
+        return;
+    }
+    if (!state.daemon) {
+        // Its session's supervisor would bring it back with the old settings
+        warn(`The proxy (PID ${state.pid}) belongs to a running start session; restart that session to apply it.`);
+        return;
+    }
+
+    log(`Restarting proxy (PID ${state.pid}) with the new strategy...`);
+    await terminateProxy(state);
+    await launchProxy({ daemon: true, mock: state.mock ? { fixture: state.fixture ?? null } : null });
+    const active = (await getProxyStatus())?.health?.strategy;
+    if (config.values.strategy !== 'default' && active !== config.values.strategy) {
+        warn(`The proxy reports strategy "${sanitizeForTerminal(String(active ?? 'unknown'))}"; this version may not support --strategy.`);
+    }
+}
+
+async function showStrategy() {
+    const status = await isProxyRunning() ? await getProxyStatus() : null;
+    const active = status ? String(status.health?.strategy ?? 'unknown') : null;
+    const strategies = Object.entries(PROXY_STRATEGIES).map(([name, description]) => ({ name, description }));
+
+    if (jsonMode) {
+        printJson({
+            schemaVersion: JSON_SCHEMA_VERSION,
+            configured: config.values.strategy,
+            source: config.sources.strategy,
+            active,
+            strategies,
+        });
+        return;
+    }
+
+    console.log(`\n${c.bold}Account-selection strategy${c.reset}\n`);
+    console.log(`  Configured: ${config.values.strategy} ${c.dim}(${config.sources.strategy})${c.reset}`);
+    console.log(`  Proxy:      ${active ? sanitizeForTerminal(active) : `${c.dim}not running${c.reset}`}\n`);
+    for (const { name, description } of strategies) {
+        const marker = name === active ? `${c.green}●${c.reset}` : ' ';
+        console.log(`  ${marker} ${c.cyan}${name.padEnd(12)}${c.reset} ${description}`);
+    }
+    console.log(`\n  Change it: ${c.dim}vertexhub strategy <name>${c.reset}\n`);
+}
+
+// --- Completion ---
+
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * What the completion scripts offer, derived from COMMANDS and
+ * GLOBAL_OPTIONS so new commands and flags are picked up automatically.
+ * `positionals` maps "<command>:<count>:<earlier args>" glob patterns (matched
+ * by every shell's `case`/`switch`) to a word list, 'models' (looked up from
+ * the proxy when completing) or 'files'.
+ */
+function getCompletionData() {
+    const names = (option) => [option.flag, option.short].filter(Boolean);
+    const allOptions = [GLOBAL_OPTIONS, ...Object.values(COMMANDS).map(spec => spec.options)].flatMap(Object.values);
+    const unique = (list) => [...new Set(list)];
+    const configKeys = Object.keys(CONFIG_SCHEMA);
+
+    return {
+        commands: Object.entries(COMMANDS).map(([name, spec]) => ({ name, summary: spec.summary })),
+        globalOptions: Object.values(GLOBAL_OPTIONS),
+        commandOptions: Object.entries(COMMANDS).map(([name, spec]) => ({ name, options: Object.values(spec.options) })),
+        valueFlags: unique(allOptions.filter(o => o.value).flatMap(names)),
+        pathFlags: unique(allOptions.filter(o => o.value === '<dir>' || o.value === '<file>').flatMap(names)),
+        choices: {
+            '--slot': [...MODEL_SLOTS, 'all'],
+            '--by': api.USAGE_GROUPS,
+            '--profile': Object.keys(BUILTIN_PROFILES),
+        },
+        positionals: [
+            ['accounts:0:*', ['add', 'list', 'remove', 'verify', 'disable', 'enable']],
+            ['models:0:*', ['use', 'profiles', 'profile']],
+            ['models:1:use', 'models'],
+            ['models:1:profile', ['use', 'save', 'delete']],
+            ['models:2:profile use', Object.keys(BUILTIN_PROFILES)],
+            ['ping:0:*', 'models'],
+            ['strategy:0:*', ['default', ...Object.keys(PROXY_STRATEGIES)]],
+            ['config:0:*', ['list', 'get', 'set', 'unset', 'validate', 'path']],
+            ['config:1:get', configKeys],
+            ['config:1:set', configKeys],
+            ['config:1:unset', configKeys],
+            ['config:2:set models.*', 'models'],
+            ['completion:0:*', COMPLETION_SHELLS],
+            ['help:0:*', Object.keys(COMMANDS)],
+            ['setup:0:*', 'files'],
+        ],
+    };
+}
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+const fishQuote = (value) => `'${String(value).replace(/[\\']/g, '\\$&')}'`;
+const optionNames = (options) => options.flatMap(o => [o.flag, o.short].filter(Boolean)).join(' ');
+
+function generateBashCompletion(data) {
+    const globalFlags = optionNames(data.globalOptions);
+    const positional = (target) => (target === 'models'
+        ? 'words="$(_vertexhub_models "${target[@]}")"'
+        : target === 'files' ? 'compopt -o filenames 2>/dev/null; COMPREPLY=($(compgen -f -- "$cur")); return 0'
+            : `words=${shellQuote(target.join(' '))}`);
+
+    return `# bash completion for vertexhub
+# Load it now:    source <(vertexhub completion bash)
+# Or install it:  vertexhub completion bash > ~/.local/share/bash-completion/completions/vertexhub
+
+_vertexhub_models() {
+    vertexhub completion --models "$@" 2>/dev/null
+}
+
+_vertexhub() {
+    local cur prev cmd word words i
+    local -a args=() target=()
+    cur="\${COMP_WORDS[COMP_CWORD]}"
+    prev="\${COMP_WORDS[COMP_CWORD-1]}"
+
+    for ((i = 1; i < COMP_CWORD; i++)); do
+        word="\${COMP_WORDS[i]}"
+        case "$word" in
+            --) return 0 ;;
+            --port|--instance)
+                ((i++)); [[ "\${COMP_WORDS[i]}" == = ]] && ((i++))
+                target+=("$word" "\${COMP_WORDS[i]}") ;;
+            ${data.valueFlags.join('|')})
+                ((i++)); [[ "\${COMP_WORDS[i]}" == = ]] && ((i++)) ;;
+            -*) ;;
+            *) if [[ -z "$cmd" ]]; then cmd="$word"; else args+=("$word"); fi ;;
+        esac
+    done
+
+    case "$prev" in
+${Object.entries(data.choices).map(([flag, values]) => `        ${flag}) COMPREPLY=($(compgen -W ${shellQuote(values.join(' '))} -- "$cur")); return 0 ;;`).join('\n')}
+        ${data.pathFlags.join('|')}) compopt -o filenames 2>/dev/null; COMPREPLY=($(compgen -f -- "$cur")); return 0 ;;
+        ${data.valueFlags.join('|')}) return 0 ;;
+    esac
+
+    if [[ "$cur" == -* ]]; then
+        case "$cmd" in
+${data.commandOptions.filter(entry => entry.options.length > 0).map(entry => `            ${entry.name}) words=${shellQuote(`${optionNames(entry.options)} ${globalFlags}`)} ;;`).join('\n')}
+            *) words=${shellQuote(globalFlags)} ;;
+        esac
+        COMPREPLY=($(compgen -W "$words" -- "$cur"))
+        return 0
+    fi
+
+    if [[ -z "$cmd" ]]; then
+        COMPREPLY=($(compgen -W ${shellQuote(data.commands.map(entry => entry.name).join(' '))} -- "$cur"))
+        return 0
+    fi
+
+    case "$cmd:\${#args[@]}:\${args[*]}" in
+${data.positionals.map(([pattern, target]) => `        ${pattern.replace(/ /g, '\\ ')}) ${positional(target)} ;;`).join('\n')}
+    esac
+    COMPREPLY=($(compgen -W "$words" -- "$cur"))
+}
+
+complete -F _vertexhub vertexhub
+`;
+}
+
+function generateZshCompletion(data) {
+    const globalFlags = optionNames(data.globalOptions);
+    const positional = (target) => (target === 'models' ? '_vertexhub_models $target'
+        : target === 'files' ? '_files' : `compadd -- ${target.join(' ')}`);
+
+    return `#compdef vertexhub
+# zsh completion for vertexhub
+# Load it now:    source <(vertexhub completion zsh)
+# Or install it:  vertexhub completion zsh > "\${fpath[1]}/_vertexhub"
+
+_vertexhub_models() {
+    local -a models
+    models=(\${(f)"$(vertexhub completion --models "$@" 2>/dev/null)"})
+    compadd -a models
+}
+
+_vertexhub() {
+    local cmd word i
+    local -a args target commands
+
+    for ((i = 2; i < CURRENT; i++)); do
+        word=\${words[i]}
+        case $word in
+            --) _files; return ;;
+            --port|--instance) target+=($word \${words[i+1]}); ((i++)) ;;
+            ${data.valueFlags.join('|')}) ((i++)) ;;
+            -*) ;;
+            *) if [[ -z $cmd ]]; then cmd=$word; else args+=($word); fi ;;
+        esac
+    done
+
+    case \${words[CURRENT-1]} in
+${Object.entries(data.choices).map(([flag, values]) => `        ${flag}) compadd -- ${values.join(' ')}; return ;;`).join('\n')}
+        ${data.pathFlags.join('|')}) _files; return ;;
+        ${data.valueFlags.join('|')}) return ;;
+    esac
+
+    if [[ \${words[CURRENT]} == -* ]]; then
+        case $cmd in
+${data.commandOptions.filter(entry => entry.options.length > 0).map(entry => `            ${entry.name}) compadd -- ${optionNames(entry.options)} ${globalFlags} ;;`).join('\n')}
+            *) compadd -- ${globalFlags} ;;
+        esac
+        return
+    fi
+
+    if [[ -z $cmd ]]; then
+        commands=(
+${data.commands.map(entry => `            ${shellQuote(`${entry.name}:${entry.summary}`)}`).join('\n')}
+        )
+        _describe -t commands 'vertexhub command' commands
+        return
+    fi
+
+    case "$cmd:\${#args}:\${args[*]}" in
+${data.positionals.map(([pattern, target]) => `        ${pattern.replace(/ /g, '\\ ')}) ${positional(target)} ;;`).join('\n')}
+    esac
+}
+
+if [[ $funcstack[1] == _vertexhub ]]; then
+    _vertexhub "$@"
+else
+    compdef _vertexhub vertexhub
+fi
+`;
+}
+
+function generateFishCompletion(data) {
+    const lines = [];
+    const flagArgs = (option) => {
+        const parts = [`-l ${option.flag.slice(2)}`];
+        if (option.short) parts.push(`-s ${option.short.slice(1)}`);
+        if (data.choices[option.flag]) parts.push(`-xa ${fishQuote(data.choices[option.flag].join(' '))}`);
+        else if (option.value === '<dir>' || option.value === '<file>') parts.push('-rF');
+        else if (option.value) parts.push('-x');
+        parts.push(`-d ${fishQuote(option.description)}`);
+        return parts.join(' ');
+    };
+
+    for (const option of data.globalOptions) lines.push(`complete -c vertexhub ${flagArgs(option)}`);
+    for (const entry of data.commands) {
+        lines.push(`complete -c vertexhub -n __fish_use_subcommand -a ${entry.name} -d ${fishQuote(entry.summary)}`);
+    }
+    for (const entry of data.commandOptions) {
+        for (const option of entry.options) {
+            lines.push(`complete -c vertexhub -n '__fish_seen_subcommand_from ${entry.name}' ${flagArgs(option)}`);
+        }
+    }
+    const positional = (target) => (target === 'models'
+        ? 'vertexhub completion --models $target 2>/dev/null'
+        : `printf '%s\\n' ${target.join(' ')}`);
+
+    return `# fish completion for vertexhub
+# Load it now:    vertexhub completion fish | source
+# Or install it:  vertexhub completion fish > ~/.config/fish/completions/vertexhub.fish
+
+complete -c vertexhub -f
+
+function __vertexhub_positional
+    set -l tokens (commandline -opc)
+    set -e tokens[1]
+    set -l cmd ''
+    set -l args
+    set -l target
+    while set -q tokens[1]
+        set -l word $tokens[1]
+        set -e tokens[1]
+        switch $word
+            case --
+                return
+            case --port --instance
+                set target $target $word $tokens[1]
+                set -q tokens[1]; and set -e tokens[1]
+            case ${data.valueFlags.join(' ')}
+                set -q tokens[1]; and set -e tokens[1]
+            case '-*'
+            case '*'
+                if test -z "$cmd"
+                    set cmd $word
+                else
+                    set args $args $word
+                end
+        end
+    end
+    test -n "$cmd"; or return
+
+    switch "$cmd:"(count $args)":$args"
+${data.positionals.filter(([, target]) => target !== 'files').map(([pattern, target]) => `        case ${fishQuote(pattern)}\n            ${positional(target)}`).join('\n')}
+    end
+end
+
+${lines.join('\n')}
+complete -c vertexhub -n 'not __fish_use_subcommand' -a '(__vertexhub_positional)'
+complete -c vertexhub -n '__fish_seen_subcommand_from setup' -F
+`;
+}
+
+async function cmdCompletion() {
+    if (cli.options.models) {
+        // Called by the scripts on every <Tab>: stay quiet and fail fast
+        let models = null;
+        try {
+            models = await api.getModels({ config: config.values, timeout: 1000 });
+        } catch (e) {
+            if (!(e instanceof VertexHubError)) throw e;
+        }
+        for (const model of Array.isArray(models?.data) ? models.data : []) {
+            const id = sanitizeModelId(String(model?.id ?? ''));
+            if (id) console.log(id);
+        }
+        return;
+    }
+
+    const [shell, ...extra] = cli.positionals;
+    if (!COMPLETION_SHELLS.includes(shell) || extra.length > 0) {
+        err(shell ? `Unsupported shell: ${sanitizeForTerminal(shell)} (use ${COMPLETION_SHELLS.join(', ')})` : `Usage: vertexhub completion <${COMPLETION_SHELLS.join('|')}>`);
+        process.exit(1);
+    }
+
+    const generate = { bash: generateBashCompletion, zsh: generateZshCompletion, fish: generateFishCompletion }[shell];
+    process.stdout.write(generate(getCompletionData()));
+}
+
+// --- Setup ---
+
+/**
+ * Describe a proxy version that is not known to be supported.
+ */
+function describeProxyVersion(check) {
+    const version = sanitizeForTerminal(String(check.version ?? '').slice(0, 40));
+    if (check.compatible === null) {
+        return `${version ? `version "${version}"` : 'the version'} cannot be checked against the supported range (${check.range})`;
+    }
+    return `version ${version} is not supported by this VertexHub (supported: ${check.range})`;
+}
+
+/**
+ * Warn when the running proxy's /health version is outside the supported range.
+ */
+function warnUnsupportedProxyVersion(version) {
+    const check = api.checkProxyVersion(version);
+    if (check.compatible !== false) return;
+    warn(`antigravity-proxy ${describeProxyVersion(check)}.`);
+    warn('Its endpoints may differ from what VertexHub expects. Check with: vertexhub setup');
+}
+
+/**
+ * Turn a `setup` argument into a proxy directory: a checkout is used as is,
+ * a tarball is unpacked into PROXY_INSTALL_DIR.
+ */
+function resolveSetupSource(source) {
+    const path = resolve(source);
+    if (!existsSync(path)) {
+        err(`Not found: ${sanitizeForTerminal(source)}`);
+        process.exit(1);
+    }
+
+    if (statSync(path).isFile()) {
+        if (!/\.(tgz|tar\.gz)$/i.test(path)) {
+            err('Expected an antigravity-proxy directory or a .tgz/.tar.gz release');
+            process.exit(1);
+        }
+        if (getTrackedProxy()?.proxyDir === PROXY_INSTALL_DIR) {
+            err(`The running proxy uses ${PROXY_INSTALL_DIR}. Stop it first: vertexhub stop`);
+            process.exit(1);
+        }
+        log(`Unpacking ${path} → ${PROXY_INSTALL_DIR}`);
+        try {
+            return api.installProxyTarball(path);
+        } catch (e) {
+            if (!(e instanceof api.ProxyDirError)) throw e;
+            err(sanitizeForTerminal(e.message));
+            process.exit(1);
+        }
+    }
+
+    try {
+        api.checkProxyDir(path);
+    } catch (e) {
+        if (!(e instanceof api.ProxyDirError)) throw e;
+        err(e.message);
+        err('Expected an antigravity-proxy checkout (a directory with src/index.js).');
+        process.exit(1);
+    }
+    return path;
+}
+
+/**
+ * Look through the candidate locations and pick the first checkout with a
+ * supported (or at least not unsupported) version.
+ */
+function discoverProxyDir() {
+    log('Looking for antigravity-proxy...');
+    const candidates = api.discoverProxyDirs({ config: config.values });
+    for (const candidate of candidates) {
+        let mark = `${c.dim}–`;
+        let detail = 'not found';
+        if (candidate.found) {
+            mark = candidate.compatible === false ? `${c.yellow}!` : `${c.green}✓`;
+            detail = candidate.version ? `v${sanitizeForTerminal(candidate.version.slice(0, 40))}` : 'unknown version';
+        }
+        console.log(`  ${mark} ${candidate.dir}${c.reset} ${c.dim}(${candidate.source}, ${detail})${c.reset}`);
+    }
+    console.log('');
+
+    const found = candidates.filter(candidate => candidate.found);
+    const chosen = found.find(candidate => candidate.compatible !== false) || found[0];
+    if (!chosen) {
+        err('No antigravity-proxy checkout found.');
+        err('Clone it (or download a release), then: vertexhub setup <path|tarball>');
+        process.exit(1);
+    }
+    ok(`Using ${chosen.dir}`);
+    return chosen.dir;
+}
+
+/**
+ * Install the proxy's npm dependencies if it has some and no node_modules.
+ */
+function installProxyDependencies(proxyDir) {
+    let pkg;
+    try {
+        pkg = JSON.parse(readFileSync(join(proxyDir, 'package.json'), 'utf-8'));
+    } catch {
+        return;
+    }
+    if (!isPlainObject(pkg?.dependencies) || Object.keys(pkg.dependencies).length === 0) return;
+    if (existsSync(join(proxyDir, 'node_modules'))) return;
+
+    const remedy = `npm --prefix ${proxyDir} install --omit=dev`;
+    const npmBin = findBinary('npm');
+    if (cli.options.noInstall || !npmBin) {
+        warn(`${proxyDir} has no node_modules${npmBin ? '' : ' and npm was not found'}. Install them with: ${remedy}`);
+        return;
+    }
+
+    log('Installing proxy dependencies (npm install)...');
+    try {
+        execFileSync(npmBin, ['install', '--omit=dev', '--no-audit', '--no-fund'], { cwd: proxyDir, stdio: 'inherit', timeout: 600000 });
+        ok('Dependencies installed.');
+    } catch {
+        err(`npm install failed. Retry with: ${remedy}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Save the chosen proxy directory as proxyDir in the config file.
+ */
+function recordProxyDir(proxyDir) {
+    const data = loadConfigFileForWrite();
+    if (getConfigPath(data, 'proxyDir') === proxyDir) {
+        ok(`proxyDir already set to ${proxyDir}`);
+    } else {
+        setConfigPath(data, 'proxyDir', proxyDir);
+        saveConfigFile(data);
+        ok(`Saved proxyDir → ${proxyDir} (${VERTEXHUB_CONFIG_FILE})`);
+    }
+
+    const source = config.sources.proxyDir;
+    if (PROXY_DIR !== proxyDir && source !== 'file' && source !== 'default') {
+        warn(`${source === 'flag' ? '--proxy-dir' : source} still overrides it (currently ${PROXY_DIR})`);
+    }
+}
+
+async function cmdSetup() {
+    const [source, ...extra] = cli.positionals;
+    if (extra.length > 0) {
+        err('Usage: vertexhub setup [<path|tarball>]');
+        process.exit(1);
+    }
+    const force = !!cli.options.force;
+
+    printBanner('VertexHub — Setup', c.cyan);
+
+    const proxyDir = source !== undefined ? resolveSetupSource(source) : discoverProxyDir();
+    installProxyDependencies(proxyDir);
+
+    // The checkout's own version decides whether we record it
+    const check = api.checkProxyVersion(api.readProxyPackageVersion(proxyDir));
+    if (check.compatible) {
+        ok(`antigravity-proxy ${check.version} is supported (${check.range})`);
+    } else if (check.compatible === null) {
+        warn(`${proxyDir}: ${describeProxyVersion(check)}`);
+        warn('Continuing, but status, usage and login may not work if its API differs.');
+    } else if (force) {
+        warn(`antigravity-proxy ${describeProxyVersion(check)}; using it anyway (--force)`);
+    } else {
+        err(`antigravity-proxy ${describeProxyVersion(check)}.`);
+        err('VertexHub relies on its /health, /account-limits and accounts CLI, which change');
+        err('between major versions, so start, status and login could fail in confusing ways.');
+        err('Install a supported release and run setup again, or use --force to keep it anyway.');
+        process.exit(1);
+    }
+
+    recordProxyDir(proxyDir);
+
+    // A proxy that is already running may be an older install
+    if (await isProxyRunning() && !getTrackedProxy()?.mock) {
+        const status = await getProxyStatus();
+        const running = api.checkProxyVersion(status?.health?.version);
+        if (running.compatible === false) {
+            warn(`The running proxy's ${describeProxyVersion(running)}.`);
+            warn('Restart it to use the new setup: vertexhub restart');
+        } else if (running.compatible) {
+            ok(`Running proxy (${running.version}) is supported`);
+        }
+    }
+
+    console.log(`
+${c.green}✓ Setup complete!${c.reset} Next steps:
+  ${c.dim}vertexhub login${c.reset}     Link a Google account
+  ${c.dim}vertexhub start${c.reset}     Start proxy + Claude Code
+`);
+}
+
+// --- Doctor ---
+
+/**
+ * Check a Node version against a `>=X[.Y[.Z]]` engines range.
+ * Returns null when the range is in a form we don't understand.
+ */
+function satisfiesMinVersion(version, range) {
+    const min = /^>=\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(range).trim());
+    if (!min) return null;
+    const have = String(version).replace(/^v/, '').split('.').map(n => parseInt(n, 10) || 0);
+    const want = min.slice(1).map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < 3; i++) {
+        if ((have[i] || 0) !== want[i]) return (have[i] || 0) > want[i];
+    }
+    return true;
+}
+
+function checkNodeVersion() {
+    let range = '>=18.0.0';
+    try {
+        const pkg = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
+        if (pkg?.engines?.node) range = pkg.engines.node;
+    } catch { /* fall back to the documented minimum */ }
+
+    const results = [];
+    const versions = [['CLI runtime', process.version]];
+    const nodeBin = getNodeBin();
+    if (nodeBin) {
+        try {
+            const proxyVersion = execSync(`"${nodeBin}" --version`, { stdio: 'pipe', encoding: 'utf-8', timeout: 5000 }).trim();
+            if (proxyVersion !== process.version) versions.push([`Proxy runtime (${nodeBin})`, proxyVersion]);
+        } catch { /* reported by the binary check below */ }
+    }
+
+    for (const [label, version] of versions) {
+        const satisfied = satisfiesMinVersion(version, range);
+        if (satisfied === null) {
+            results.push({ name: 'Node.js', status: 'warn', message: `${label} ${version}; cannot interpret engines range "${range}"` });
+        } else if (satisfied) {
+            results.push({ name: 'Node.js', status: 'pass', message: `${label} ${version} satisfies ${range}` });
+        } else {
+            results.push({
+                name: 'Node.js',
+                status: 'fail',
+                message: `${label} ${version} does not satisfy ${range}`,
+                remedy: 'Install Node.js 18+: nvm install 20 && nvm alias default 20',
+            });
+        }
+    }
+    return results;
+}
+
+function checkProxyDir() {
+    if (!existsSync(PROXY_DIR)) {
+        return [{
+            name: 'Proxy dir',
+            status: 'fail',
+            message: `${PROXY_DIR} does not exist`,
+            remedy: 'Find or install it with: vertexhub setup   or: vertexhub config set proxyDir /path/to/antigravity-proxy',
+        }];
+    }
+
+    const missing = [join('src', 'index.js'), join('src', 'cli', 'accounts.js')]
+        .filter(file => !existsSync(join(PROXY_DIR, file)));
+    if (missing.length > 0) {
+        return [{
+            name: 'Proxy dir',
+            status: 'fail',
+            message: `${PROXY_DIR} is missing ${missing.join(', ')}`,
+            remedy: `Re-clone or update the checkout: git -C ${PROXY_DIR} pull`,
+        }];
+    }
+    if (!existsSync(join(PROXY_DIR, 'node_modules'))) {
+        return [{
+            name: 'Proxy dir',
+            status: 'warn',
+            message: `${PROXY_DIR} has no node_modules`,
+            remedy: `Install its dependencies: npm --prefix ${PROXY_DIR} install`,
+        }];
+    }
+    return [{ name: 'Proxy dir', status: 'pass', message: PROXY_DIR }];
+}
+
+async function checkProxyVersions() {
+    const results = [];
+    const versions = [['Proxy checkout', existsSync(PROXY_DIR) ? api.readProxyPackageVersion(PROXY_DIR) : undefined]];
+    if (await isProxyRunning() && !getTrackedProxy()?.mock) {
+        versions.push(['Running proxy', (await getProxyStatus())?.health?.version]);
+    }
+    for (const [label, version] of versions) {
+        if (version === undefined) continue;
+        const check = api.checkProxyVersion(version);
+        if (check.compatible) {
+            results.push({ name: 'Proxy version', status: 'pass', message: `${label} ${version} (supported: ${check.range})` });
+        } else {
+            results.push({
+                name: 'Proxy version',
+                status: check.compatible === null ? 'warn' : 'fail',
+                message: `${label}: ${describeProxyVersion(check)}`,
+                remedy: 'Install a supported release, then: vertexhub setup <path|tarball>',
+            });
+        }
+    }
+    return results;
+}
+
+async function checkPort() {
+    const owner = await api.identifyPortOwner({ config: config.values });
+    if (owner.proxy) {
+        return [{ name: 'Port', status: 'pass', message: `${PROXY_PORT} is served by the proxy` }];
+    }
+    if (owner.free) {
+        return [{ name: 'Port', status: 'pass', message: `${PROXY_PORT} is free` }];
+    }
+    return [{
+        name: 'Port',
+        status: 'fail',
+        message: `${PROXY_HOST}:${PROXY_PORT} is in use by ${describePortOwner(owner)}, which does not answer /health`,
+        remedy: 'Stop it, start with --auto-port, or pick another port: vertexhub config set port <port>',
+    }];
+}
+
+function checkClaudeSettings() {
+    if (isIsolated()) {
+        return [{ name: 'Claude settings', status: 'pass', message: `Isolated mode: sessions use ${INSTANCE_PATHS.claudeDir}` }];
+    }
+    const settings = readClaudeSettingsSummary();
+    if (!settings.exists) {
+        return [{
+            name: 'Claude settings',
+            status: 'warn',
+            message: `${CLAUDE_SETTINGS_FILE} does not exist`,
+            remedy: 'It is created by: vertexhub start',
+            fix: configureClaudeSettings,
+        }];
+    }
+    if (!settings.valid) {
+        return [{
+            name: 'Claude settings',
+            status: 'fail',
+            message: `${CLAUDE_SETTINGS_FILE} is not valid JSON`,
+            remedy: 'Fix the file by hand (VertexHub will not overwrite it blindly)',
+        }];
+    }
+    if (settings.baseUrl !== PROXY_URL) {
+        return [{
+            name: 'Claude settings',
+            status: 'warn',
+            message: `ANTHROPIC_BASE_URL is ${settings.baseUrl || 'not set'}, but the proxy is at ${PROXY_URL}`,
+            remedy: 'Rewrite the VertexHub keys: vertexhub doctor --fix',
+            fix: configureClaudeSettings,
+        }];
+    }
+    return [{ name: 'Claude settings', status: 'pass', message: `ANTHROPIC_BASE_URL → ${PROXY_URL}` }];
+}
+
+function checkPermissions() {
+    const files = [CLAUDE_SETTINGS_FILE, CLAUDE_JSON_FILE, VERTEXHUB_CONFIG_FILE, INSTANCE_PATHS.stateFile];
+    const results = [];
+    for (const file of files) {
+        if (!existsSync(file)) continue;
+        const mode = statSync(file).mode & 0o777;
+        if (mode === 0o600) continue;
+        results.push({
+            name: 'Permissions',
+            status: 'warn',
+            message: `${file} is ${mode.toString(8).padStart(4, '0')} (expected 0600)`,
+            remedy: `chmod 600 ${file}`,
+            fix: () => chmodSync(file, 0o600),
+        });
+    }
+    if (results.length === 0) {
+        results.push({ name: 'Permissions', status: 'pass', message: 'Config files are owner-only (0600)' });
+    }
+    return results;
+}
+
+function checkConfigFile() {
+    const file = loadConfigFile();
+    if (!file.exists) return [];
+    const problems = file.error ? [file.error] : validateConfigData(file.data);
+    if (problems.length === 0) {
+        return [{ name: 'Config file', status: 'pass', message: VERTEXHUB_CONFIG_FILE }];
+    }
+    return [{
+        name: 'Config file',
+        status: 'warn',
+        message: `${VERTEXHUB_CONFIG_FILE}: ${problems.join('; ')}`,
+        remedy: 'Fix it with: vertexhub config set/unset, then: vertexhub config validate',
+    }];
+}
+
+function checkClaudeBinary() {
+    const claudeBin = findBinary('claude');
+    if (claudeBin) return [{ name: 'Claude Code', status: 'pass', message: claudeBin }];
+    return [{
+        name: 'Claude Code',
+        status: 'fail',
+        message: 'claude not found on PATH',
+        remedy: 'Install it: npm install -g @anthropic-ai/claude-code',
+    }];
+}
+
+async function checkAccounts() {
+    if (!(await isProxyRunning())) {
+        return [{ name: 'Accounts', status: 'skip', message: 'Proxy not running; start it to check linked accounts' }];
+    }
+    const status = await getProxyStatus();
+    if (!status?.limits) {
+        return [{
+            name: 'Accounts',
+            status: 'warn',
+            message: `Could not read ${PROXY_URL}/account-limits`,
+            remedy: 'Check the proxy output for errors',
+        }];
+    }
+    const count = normalizeAccounts(status.limits).length;
+    if (count === 0) {
+        return [{
+            name: 'Accounts',
+            status: 'fail',
+            message: 'Proxy is running but has no linked accounts',
+            remedy: 'Link a Google account: vertexhub login',
+        }];
+    }
+    return [{ name: 'Accounts', status: 'pass', message: `${count} linked` }];
+}
+
+async function cmdDoctor() {
+    const applyFixes = !!cli.options.fix;
+
+    printBanner('VertexHub — Doctor', c.blue);
+
+    const results = [
+        ...checkNodeVersion(),
+        ...checkProxyDir(),
+        ...await checkProxyVersions(),
+        ...await checkPort(),
+        ...checkClaudeSettings(),
+        ...checkPermissions(),
+        ...checkConfigFile(),
+        ...checkClaudeBinary(),
+        ...await checkAccounts(),
+    ];
+
+    const icons = {
+        pass: `${c.green}✓${c.reset}`,
+        warn: `${c.yellow}⚠${c.reset}`,
+        fail: `${c.red}✗${c.reset}`,
+        skip: `${c.dim}-${c.reset}`,
+        fixed: `${c.green}✓${c.reset}`,
+    };
+
+    for (const result of results) {
+        if (applyFixes && result.fix && result.status !== 'pass') {
+            try {
+                result.fix();
+                result.status = 'fixed';
+                result.message += ' — fixed';
+            } catch (e) {
+                result.remedy = `${result.remedy} (automatic fix failed: ${e.message})`;
+            }
+        }
+
+        console.log(`  ${icons[result.status]} ${result.name.padEnd(16)} ${sanitizeForTerminal(result.message)}`);
+        if (result.remedy && (result.status === 'warn' || result.status === 'fail')) {
+            console.log(`      ${c.dim}→ ${sanitizeForTerminal(result.remedy)}${c.reset}`);
+        }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    const fixable = results.filter(r => r.fix && (r.status === 'warn' || r.status === 'fail')).length;
+    console.log(`\n  ${count('pass') + count('fixed')} passed, ${count('warn')} warnings, ${count('fail')} failed`);
+    if (fixable > 0) {
+        console.log(`  ${c.dim}Run: vertexhub doctor --fix   to apply ${fixable} safe fix(es)${c.reset}`);
+    }
+    console.log();
+
+    if (count('fail') > 0) process.exit(1);
+}
+
+function requireConfigKey(key) {
+    if (!key) {
+        err('Missing config key.');
+        printCommandHelp('config');
+        process.exit(1);
+    }
+    if (!Object.hasOwn(CONFIG_SCHEMA, key)) {
+        err(`Unknown config key: ${sanitizeForTerminal(key)}`);
+        printCommandHelp('config');
+        process.exit(1);
+    }
+    return CONFIG_SCHEMA[key];
+}
+
+/**
+ * Load the config file for modification. Refuses to continue if the existing
+ * file is corrupt, rather than silently replacing the user's settings.
+ */
+function loadConfigFileForWrite() {
+    const file = loadConfigFile();
+    if (file.error) {
+        err(`Cannot update ${VERTEXHUB_CONFIG_FILE}: ${file.error}`);
+        err('Fix or remove the file and try again.');
+        process.exit(1);
+    }
+    return file.data;
+}
+
+async function cmdConfig() {
+    const [action = 'list', key, value, ...extra] = cli.positionals;
+
+    switch (action) {
+        case 'list': {
+            console.log(`\n${c.bold}VertexHub Config${c.reset} ${c.dim}(${VERTEXHUB_CONFIG_FILE})${c.reset}\n`);
+            const width = Math.max(...Object.keys(CONFIG_SCHEMA).map(k => k.length));
+            for (const [k, spec] of Object.entries(CONFIG_SCHEMA)) {
+                let shown = config.values[k];
+                if (spec.secret && config.sources[k] !== 'default') shown = `${shown.slice(0, 4)}…`;
+                console.log(`  ${c.cyan}${k.padEnd(width)}${c.reset} ${sanitizeForTerminal(shown)} ${c.dim}(${config.sources[k]})${c.reset}`);
+            }
+            console.log();
+            break;
+        }
+        case 'get': {
+            requireConfigKey(key);
+            console.log(sanitizeForTerminal(config.values[key]));
+            break;
+        }
+        case 'set': {
+            const spec = requireConfigKey(key);
+            if (value === undefined || extra.length > 0) {
+                err('Usage: vertexhub config set <key> <value>');
+                process.exit(1);
+            }
+            const parsed = spec.parse(value);
+            if (parsed === null) {
+                err(`Invalid value for ${key}: expected ${spec.hint}`);
+                process.exit(1);
+            }
+            const data = loadConfigFileForWrite();
+            setConfigPath(data, getConfigFileKey(key), parsed);
+            saveConfigFile(data);
+            ok(`${getConfigFileKey(key)} = ${sanitizeForTerminal(spec.secret ? `${parsed.slice(0, 4)}…` : parsed)}`);
+            if (spec.env && process.env[spec.env] && spec.parse(process.env[spec.env]) !== null) {
+                warn(`${spec.env} is set and takes precedence over the config file.`);
+            }
+            break;
+        }
+        case 'unset': {
+            requireConfigKey(key);
+            const data = loadConfigFileForWrite();
+            setConfigPath(data, getConfigFileKey(key), undefined);
+            if (isPlainObject(data.models) && Object.keys(data.models).length === 0) delete data.models;
+            saveConfigFile(data);
+            ok(`${key} reset to default`);
+            break;
+        }
+        case 'validate': {
+            const file = loadConfigFile();
+            if (!file.exists) {
+                ok(`No config file at ${VERTEXHUB_CONFIG_FILE} (using defaults)`);
+                break;
+            }
+            if (file.error) {
+                err(`${VERTEXHUB_CONFIG_FILE}: ${file.error}`);
+                process.exit(1);
+            }
+            const problems = validateConfigData(file.data);
+            if (problems.length > 0) {
+                for (const problem of problems) err(sanitizeForTerminal(problem));
+                process.exit(1);
+            }
+            ok(`${VERTEXHUB_CONFIG_FILE} is valid`);
+            break;
+        }
+        case 'path':
+            console.log(VERTEXHUB_CONFIG_FILE);
+            break;
+        default:
+            err(`Unknown config action: ${sanitizeForTerminal(action)}`);
+            printCommandHelp('config');
+            process.exit(1);
+    }
+}
+
 function cmdHelp() {
+    const [topic] = cli.positionals;
+    if (topic && Object.hasOwn(COMMANDS, topic)) {
+        printCommandHelp(topic);
+        return;
+    }
+
     console.log(`
 ${c.bold}${c.magenta}VertexHub CLI${c.reset} — Claude Code + Google Antigravity
 
 ${c.bold}Usage:${c.reset}
-  vertexhub <command>
+  vertexhub <command> [options]
+  vertexhub start [options] -- <claude args...>
+  vertexhub <command> --help
 
 ${c.bold}Commands:${c.reset}
-  ${c.cyan}login${c.reset}      Link a Google account via OAuth
-  ${c.cyan}start${c.reset}      Start proxy + launch Claude Code
-  ${c.cyan}status${c.reset}     Check proxy health and config
-  ${c.cyan}accounts${c.reset}   Manage linked Google accounts
-  ${c.cyan}models${c.reset}     List available models
-  ${c.cyan}help${c.reset}       Show this help
+${Object.entries(COMMANDS).map(([name, spec]) => `  ${c.cyan}${name.padEnd(12)}${c.reset} ${spec.summary}`).join('\n')}
+
+${c.bold}Global options:${c.reset}
+${formatOptions(GLOBAL_OPTIONS)}
 
 ${c.bold}Environment:${c.reset}
-  VERTEXHUB_PORT   Proxy port (default: ${DEFAULT_PORT})
+  VERTEXHUB_PORT         Proxy port (default: ${DEFAULT_PORT})
+  VERTEXHUB_HOST         Proxy address (default: ${DEFAULT_HOST})
+  VERTEXHUB_PROXY_DIR    antigravity-proxy checkout
+  VERTEXHUB_INSTANCE     Named proxy instance (default: ${DEFAULT_INSTANCE})
+  VERTEXHUB_AUTH_TOKEN   Token sent to the proxy
+  VERTEXHUB_MODEL        Main Claude Code model
+  VERTEXHUB_CONFIG_DIR   Config directory (default: ~/.config/vertexhub)
+
+${c.bold}Config file:${c.reset}
+  ${VERTEXHUB_CONFIG_FILE}
+  Flags take precedence over environment variables, then a project's ${api.PROJECT_CONFIG_FILE_NAME}, then the config file.
 
 ${c.bold}First time?${c.reset}
-  1. ${c.dim}vertexhub login${c.reset}     # Link your Google account
-  2. ${c.dim}vertexhub start${c.reset}     # Start coding!
+  1. ${c.dim}vertexhub setup${c.reset}     # Find antigravity-proxy
+  2. ${c.dim}vertexhub login${c.reset}     # Link your Google account
+  3. ${c.dim}vertexhub start${c.reset}     # Start coding!
 `);
 }
 
 // --- Main ---
-const command = process.argv[2] || 'help';
+const command = cli.command || 'help';
+
+if (!Object.hasOwn(COMMANDS, command)) {
+    err(`Unknown command: ${sanitizeForTerminal(command)}`);
+    cmdHelp();
+    process.exit(1);
+}
+
+if (cli.error) {
+    if (jsonMode) failJson('INVALID_OPTION', cli.error);
+    err(sanitizeForTerminal(cli.error));
+    err(`See: vertexhub ${command === 'help' ? '' : `${command} `}--help`);
+    process.exit(1);
+}
+
+if (cli.options.help) {
+    if (command === 'help') cmdHelp(); else printCommandHelp(command);
+    process.exit(0);
+}
+
+if (config.fileError && command !== 'config' && command !== 'completion' && !jsonMode) {
+    warn(`Ignoring ${VERTEXHUB_CONFIG_FILE}: ${config.fileError}`);
+}
+
+// A session must not silently run with the wrong models or instance
+if (PROJECT_ERROR) {
+    if (command === 'start') {
+        err(sanitizeForTerminal(PROJECT_ERROR.message));
+        err('Fix the file, or pass --no-project to ignore it.');
+        process.exit(1);
+    }
+    if (command !== 'completion' && !jsonMode) warn(`Ignoring project file: ${sanitizeForTerminal(PROJECT_ERROR.message)}`);
+}
+
+// Commands that talk to one instance need it to exist (start, login and accounts add create it)
+const INSTANCE_COMMANDS = ['stop', 'restart', 'status', 'usage', 'doctor', 'logs', 'accounts', 'models', 'ping', 'strategy'];
+if (INSTANCE !== DEFAULT_INSTANCE && INSTANCE_COMMANDS.includes(command)
+    && !(command === 'accounts' && cli.positionals[0] === 'add')
+    && config.sources.port === 'default') {
+    const message = `Unknown instance "${INSTANCE}". Create it with: vertexhub start --instance ${INSTANCE}`;
+    if (jsonMode) failJson('INSTANCE_NOT_FOUND', message);
+    err(message);
+    process.exit(1);
+}
+
+debug(`Config: ${Object.keys(CONFIG_SCHEMA).filter(k => !CONFIG_SCHEMA[k].secret).map(k => `${k}=${config.values[k]} (${config.sources[k]})`).join(', ')}`);
 
 switch (command) {
+    case 'setup': await cmdSetup(); break;
     case 'login': await cmdLogin(); break;
     case 'start': await cmdStart(); break;
+    case 'stop': await cmdStop(); break;
+    case 'restart': await cmdRestart(); break;
     case 'status': await cmdStatus(); break;
+    case 'ps': await cmdPs(); break;
+    case 'usage': await cmdUsage(); break;
+    case 'doctor': await cmdDoctor(); break;
+    case 'logs': await cmdLogs(); break;
     case 'accounts': await cmdAccounts(); break;
     case 'models': await cmdModels(); break;
-    case 'help':
-    case '--help':
-    case '-h': cmdHelp(); break;
-    default:
-        err(`Unknown command: ${sanitizeForTerminal(command)}`);
-        cmdHelp();
-        process.exit(1);
+    case 'ping': await cmdPing(); break;
+    case 'strategy': await cmdStrategy(); break;
+    case 'config': await cmdConfig(); break;
+    case 'mock-proxy': await cmdMockProxy(); break;
+    case 'restore': await cmdRestore(); break;
+    case 'uninstall': await cmdUninstall(); break;
+    case 'completion': await cmdCompletion(); break;
+    case 'help': cmdHelp(); break;
 }
@@ -0,0 +1,2218 @@
+/**
+ * VertexHub library
+ * The operations behind the `vertexhub` CLI, for tools that want to drive
+ * the proxy and Claude Code settings directly.
+ *
+ * Importing this module has no side effects: it installs no signal handlers,
+ * never prints and never calls process.exit. Functions return results or
+ * throw a VertexHubError subclass with a stable `code`.
+ *
+ *   import { resolveConfig, startProxy, getProxyStatus } from 'vertexhub-cli';
+ *
+ *   const { values } = resolveConfig({ port: '9000' });
+ *   const { pid, url } = await startProxy({ config: values });
+ *   const { health, limits } = await getProxyStatus({ config: values });
+ *
+ * Most functions take an `options.config` object: the `values` returned by
+ * resolveConfig(). When omitted, config is resolved from the environment and
+ * the config file, exactly as the CLI does.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, isAbsolute } from 'path';
+import {
+    existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync, unlinkSync, statSync,
+    appendFileSync, renameSync, openSync, closeSync, rmSync, readdirSync, mkdtempSync, readlinkSync,
+} from 'fs';
+import { spawn, execSync, execFileSync } from 'child_process';
+import { homedir } from 'os';
+import { randomUUID } from 'crypto';
+import { createServer } from 'net';
+import { MOCK_PROXY_ENTRY } from './mock-proxy.js';
+import {
+    ProxyNotRunningError, ProxyRequestError, ProxyStartError, ProxyDirError, NodeNotFoundError, ClaudeSettingsError,
+    OAuthCallbackError, ProjectConfigError, AccountStoreError, ProxyRunningError, AccountNotFoundError, isPlainObject,
+} from './util.js';
+
+export {
+    VertexHubError, ProxyNotRunningError, ProxyRequestError, ProxyStartError, ProxyDirError, NodeNotFoundError,
+    ClaudeSettingsError, FixtureError, OAuthCallbackError, ProjectConfigError, AccountStoreError, ProxyRunningError,
+    AccountNotFoundError, isPlainObject,
+} from './util.js';
+export { MOCK_PROXY_ENTRY, createMockProxy, getDefaultMockFixture, loadMockFixture } from './mock-proxy.js';
+export { createMeteringProxy, appendUsageRecord, readUsageRecords, summarizeUsage, USAGE_GROUPS } from './metering.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// --- Config ---
+export const DEFAULT_PORT = '8090';
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_AUTH_TOKEN = 'vertexhub-proxy';
+export const DEFAULT_PROXY_DIR = resolve(join(__dirname, '..', '..', 'antigravity-proxy'));
+export const DEFAULT_INSTANCE = 'default';
+export const LOG_MAX_BYTES = 5 * 1024 * 1024;
+export const LOG_KEEP = 3;
+
+/**
+ * VertexHub's config and state locations and Claude Code's files. Resolved
+ * from VERTEXHUB_CONFIG_DIR, VERTEXHUB_STATE_DIR, XDG_*_HOME and the home
+ * directory on every call, so a program embedding the library can set those
+ * after importing it.
+ *
+ * - `proxyInstallDir`: where `vertexhub setup <tarball>` unpacks the proxy
+ * - `usageFile`: token usage recorded by the metering layer (see metering.js), one JSON record per line
+ * - `instancesDir`: named instances keep their state, logs and account store under here
+ */
+export function getPaths() {
+    const home = homedir();
+    const configDir = process.env.VERTEXHUB_CONFIG_DIR
+        || join(process.env.XDG_CONFIG_HOME || join(home, '.config'), 'vertexhub');
+    const stateDir = process.env.VERTEXHUB_STATE_DIR
+        || join(process.env.XDG_STATE_HOME || join(home, '.local', 'state'), 'vertexhub');
+    const claudeConfigDir = join(home, '.claude');
+    return {
+        configDir,
+        configFile: join(configDir, 'config.json'),
+        stateDir,
+        proxyStateFile: join(stateDir, 'proxy.json'),
+        proxyInstallDir: join(stateDir, 'antigravity-proxy'),
+        usageFile: join(stateDir, 'usage.jsonl'),
+        claudeBackupFile: join(stateDir, 'claude-backup.json'),
+        logFile: join(stateDir, 'logs', 'proxy.log'),
+        instancesDir: join(stateDir, 'instances'),
+        claudeConfigDir,
+        claudeSettingsFile: join(claudeConfigDir, 'settings.json'),
+        claudeJsonFile: join(home, '.claude.json'),
+    };
+}
+
+/** Port the accounts script's OAuth callback listener waits on. */
+export const OAUTH_CALLBACK_PORT = 51121;
+
+/**
+ * Account-selection strategies of antigravity-proxy 2.x, passed to it as
+ * `--strategy=<name>`. Values are the descriptions `vertexhub strategy` shows.
+ */
+export const PROXY_STRATEGIES = {
+    sticky: 'Stay on one account until it is rate-limited (best for prompt caching)',
+    'round-robin': 'Move to the next account on every request (spreads load evenly)',
+    hybrid: 'Pick by account health and remaining quota (the proxy default)',
+};
+
+/** Lifecycle events a command can be attached to, as config key `hooks.<event>`. */
+export const HOOK_EVENTS = ['proxy-started', 'proxy-crashed', 'session-started', 'session-ended', 'quota-below-threshold'];
+
+/**
+ * Known config keys. Each value is resolved with the precedence
+ * flag > env > project file > config file > default. `parse` returns the normalized
+ * value, or null when the input is invalid (which falls through to the
+ * next layer, matching how an invalid VERTEXHUB_PORT always behaved).
+ */
+export const CONFIG_SCHEMA = {
+    proxyDir: {
+        env: 'VERTEXHUB_PROXY_DIR',
+        default: DEFAULT_PROXY_DIR,
+        parse: sanitizePath,
+        description: 'Path to the antigravity-proxy checkout',
+        hint: 'an absolute path, or one starting with ~/',
+    },
+    instance: {
+        env: 'VERTEXHUB_INSTANCE',
+        default: DEFAULT_INSTANCE,
+        parse: sanitizeInstanceName,
+        description: 'Proxy instance to use (each has its own port, accounts and state)',
+        hint: 'a name of letters, digits, - and _ (max 32 characters)',
+    },
+    port: {
+        env: 'VERTEXHUB_PORT',
+        default: DEFAULT_PORT,
+        parse: (v) => sanitizePort(String(v)),
+        description: 'Proxy listen port',
+        hint: 'an integer between 1 and 65535',
+    },
+    host: {
+        env: 'VERTEXHUB_HOST',
+        default: DEFAULT_HOST,
+        parse: sanitizeHost,
+        description: 'Proxy bind/connect address',
+        hint: 'a hostname or IPv4 address (wildcard addresses are not allowed)',
+    },
+    authToken: {
+        env: 'VERTEXHUB_AUTH_TOKEN',
+        default: DEFAULT_AUTH_TOKEN,
+        parse: sanitizeToken,
+        secret: true,
+        description: 'Token Claude Code sends to the proxy',
+        hint: 'a non-empty string without whitespace',
+    },
+    'models.main': {
+        env: 'VERTEXHUB_MODEL',
+        default: 'claude-opus-4-6-thinking',
+        parse: sanitizeModelId,
+        description: 'ANTHROPIC_MODEL',
+        hint: 'a model ID (letters, digits, . _ - : /)',
+    },
+    'models.opus': {
+        default: 'claude-opus-4-6-thinking',
+        parse: sanitizeModelId,
+        description: 'ANTHROPIC_DEFAULT_OPUS_MODEL',
+        hint: 'a model ID (letters, digits, . _ - : /)',
+    },
+    'models.sonnet': {
+        default: 'claude-sonnet-4-5-thinking',
+        parse: sanitizeModelId,
+        description: 'ANTHROPIC_DEFAULT_SONNET_MODEL',
+        hint: 'a model ID (letters, digits, . _ - : /)',
+    },
+    'models.haiku': {
+        default: 'claude-sonnet-4-5',
+        parse: sanitizeModelId,
+        description: 'ANTHROPIC_DEFAULT_HAIKU_MODEL',
+        hint: 'a model ID (letters, digits, . _ - : /)',
+    },
+    'models.subagent': {
+        default: 'claude-sonnet-4-5-thinking',
+        parse: sanitizeModelId,
+        description: 'CLAUDE_CODE_SUBAGENT_MODEL',
+        hint: 'a model ID (letters, digits, . _ - : /)',
+    },
+    'supervisor.maxCrashes': {
+        default: '5',
+        parse: (v) => sanitizeIntInRange(v, 1, 100),
+        description: 'Proxy crashes tolerated per window during start',
+        hint: 'an integer between 1 and 100',
+    },
+    'supervisor.windowSeconds': {
+        default: '300',
+        parse: (v) => sanitizeIntInRange(v, 10, 86400),
+        description: 'Crash-counting window for the supervisor',
+        hint: 'an integer between 10 and 86400',
+    },
+    isolated: {
+        env: 'VERTEXHUB_ISOLATED',
+        default: 'false',
+        parse: sanitizeBoolean,
+        description: 'Leave ~/.claude alone: give start sessions their own Claude Code config',
+        hint: 'true or false',
+    },
+    strategy: {
+        env: 'VERTEXHUB_STRATEGY',
+        default: 'default',
+        parse: sanitizeStrategy,
+        description: "Account-selection strategy of the proxy ('default' keeps the proxy's own)",
+        hint: `default or one of: ${Object.keys(PROXY_STRATEGIES).join(', ')}`,
+    },
+    metering: {
+        env: 'VERTEXHUB_METERING',
+        default: 'false',
+        parse: sanitizeBoolean,
+        description: 'Record token usage of start sessions (see usage --since)',
+        hint: 'true or false',
+    },
+    ...Object.fromEntries(HOOK_EVENTS.map(event => [`hooks.${event}`, {
+        default: '',
+        parse: sanitizeHookCommand,
+        description: `Shell command run on ${event} (event JSON on stdin)`,
+        hint: 'a shell command (at most 4096 characters)',
+    }])),
+    'hooks.timeoutSeconds': {
+        default: '30',
+        parse: (v) => sanitizeIntInRange(v, 1, 3600),
+        description: 'Hook commands still running after this long are killed',
+        hint: 'an integer between 1 and 3600',
+    },
+    'hooks.quotaThreshold': {
+        default: '10',
+        parse: (v) => sanitizeIntInRange(v, 1, 99),
+        description: 'Remaining quota (percent) below which quota-below-threshold fires',
+        hint: 'an integer between 1 and 99',
+    },
+    'hooks.quotaPollSeconds': {
+        default: '60',
+        parse: (v) => sanitizeIntInRange(v, 10, 3600),
+        description: 'How often start sessions check quota for quota-below-threshold',
+        hint: 'an integer between 10 and 3600',
+    },
+};
+
+/** Claude Code model slots, in the order they appear in CONFIG_SCHEMA. */
+export const MODEL_SLOTS = ['main', 'opus', 'sonnet', 'haiku', 'subagent'];
+
+/**
+ * Built-in model profiles. Users can add their own (or override these) under
+ * `profiles` in the config file.
+ */
+export const BUILTIN_PROFILES = {
+    deep: {
+        main: 'claude-opus-4-6-thinking',
+        opus: 'claude-opus-4-6-thinking',
+        sonnet: 'claude-sonnet-4-5-thinking',
+        haiku: 'claude-sonnet-4-5',
+        subagent: 'claude-sonnet-4-5-thinking',
+    },
+    fast: {
+        main: 'claude-sonnet-4-5',
+        opus: 'claude-opus-4-6-thinking',
+        sonnet: 'claude-sonnet-4-5',
+        haiku: 'claude-sonnet-4-5',
+        subagent: 'claude-sonnet-4-5',
+    },
+};
+
+// --- Security Helpers ---
+
+/**
+ * Sanitize port value to prevent injection.
+ * Only allows numeric strings in valid port range.
+ */
+export function sanitizePort(port) {
+    if (!port) return null;
+    const num = parseInt(port, 10);
+    if (isNaN(num) || num < 1 || num > 65535 || String(num) !== port.trim()) {
+        return null;
+    }
+    return String(num);
+}
+
+/**
+ * Accept an account email given on the command line: one @, no whitespace
+ * or control characters. Returns the trimmed address, or null.
+ */
+export function sanitizeEmail(value) {
+    if (typeof value !== 'string') return null;
+    const email = value.trim();
+    if (email.length > 254 || !/^[^\s@\x00-\x1f\x7f]+@[^\s@\x00-\x1f\x7f]+$/.test(email)) return null;
+    return email;
+}
+
+/**
+ * Normalize a filesystem path from config/env. Expands a leading ~ and
+ * rejects relative paths so the proxy dir never depends on the caller's cwd.
+ */
+export function sanitizePath(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    let p = value.trim();
+    if (/[\x00-\x1f\x7f]/.test(p)) return null;
+    if (p === '~' || p.startsWith('~/')) p = join(homedir(), p.slice(1));
+    if (!isAbsolute(p)) return null;
+    return resolve(p);
+}
+
+/**
+ * Only allow plain hostnames / IPv4 addresses. Wildcard binds would expose
+ * the proxy (and its linked accounts) to the network.
+ */
+export function sanitizeHost(value) {
+    if (typeof value !== 'string') return null;
+    const host = value.trim();
+    if (!/^[A-Za-z0-9.-]{1,253}$/.test(host)) return null;
+    if (host === '0.0.0.0') return null;
+    return host;
+}
+
+export function sanitizeToken(value) {
+    if (typeof value !== 'string') return null;
+    const token = value.trim();
+    if (!token || token.length > 512 || /[\s\x00-\x1f\x7f]/.test(token)) return null;
+    return token;
+}
+
+export function sanitizeIntInRange(value, min, max) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) return null;
+    const num = Number(text);
+    return num >= min && num <= max ? String(num) : null;
+}
+
+export function sanitizeBoolean(value) {
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'on', 'yes', '1'].includes(text)) return 'true';
+    if (['false', 'off', 'no', '0'].includes(text)) return 'false';
+    return null;
+}
+
+/**
+ * A proxy strategy name (see PROXY_STRATEGIES), or 'default' for whatever the
+ * proxy is configured with. Returns null for anything else.
+ */
+export function sanitizeStrategy(value) {
+    const name = String(value).trim().toLowerCase();
+    return name === 'default' || Object.hasOwn(PROXY_STRATEGIES, name) ? name : null;
+}
+
+/**
+ * A hook command from the config: any non-empty shell command line without
+ * NUL bytes. Returns the trimmed command, or null.
+ */
+export function sanitizeHookCommand(value) {
+    if (typeof value !== 'string') return null;
+    const command = value.trim();
+    if (!command || command.length > 4096 || command.includes('\0')) return null;
+    return command;
+}
+
+export function sanitizeModelId(value) {
+    if (typeof value !== 'string') return null;
+    const id = value.trim();
+    if (!/^[A-Za-z0-9._:/-]{1,128}$/.test(id)) return null;
+    return id;
+}
+
+/**
+ * Write a file with restricted permissions (owner-only read/write).
+ * Prevents other users from reading sensitive config like auth tokens.
+ */
+export function writeFileSecure(filePath, content) {
+    writeFileSync(filePath, content, { mode: 0o600 });
+    // Ensure permissions even if file existed with different perms
+    try { chmodSync(filePath, 0o600); } catch { /* ignore if chmod fails */ }
+}
+
+// --- Config File ---
+
+export function getConfigPath(obj, key) {
+    let node = obj;
+    for (const part of key.split('.')) {
+        if (!isPlainObject(node) || !Object.hasOwn(node, part)) return undefined;
+        node = node[part];
+    }
+    return node;
+}
+
+export function setConfigPath(obj, key, value) {
+    const parts = key.split('.');
+    let node = obj;
+    for (const part of parts.slice(0, -1)) {
+        if (!isPlainObject(node[part])) node[part] = {};
+        node = node[part];
+    }
+    if (value === undefined) {
+        delete node[parts[parts.length - 1]];
+    } else {
+        node[parts[parts.length - 1]] = value;
+    }
+}
+
+/**
+ * Read the VertexHub config file. Never throws: a missing file is an empty
+ * config, and a corrupt one is reported through `error` so callers can decide
+ * whether to warn (normal commands) or refuse to overwrite it (`config set`).
+ */
+export function loadConfigFile() {
+    const paths = getPaths();
+    if (!existsSync(paths.configFile)) return { data: {}, error: null, exists: false };
+    try {
+        const data = JSON.parse(readFileSync(paths.configFile, 'utf-8'));
+        if (!isPlainObject(data)) {
+            return { data: {}, error: 'top-level value must be a JSON object', exists: true };
+        }
+        return { data, error: null, exists: true };
+    } catch (e) {
+        return { data: {}, error: e.message, exists: true };
+    }
+}
+
+export function saveConfigFile(data) {
+    const paths = getPaths();
+    mkdirSync(paths.configDir, { recursive: true, mode: 0o700 });
+    writeFileSecure(paths.configFile, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Resolve every config key across flags, env, the project file (`project`,
+ * from loadProjectConfig()) and the config file.
+ * Returns the effective values plus where each one came from.
+ */
+export function resolveConfig(flags = {}, { project = null } = {}) {
+    const file = loadConfigFile();
+    const values = {};
+    const sources = {};
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        // A named instance never shares the default instance's port, whether
+        // it comes from the config file or VERTEXHUB_PORT
+        const instancePort = key === 'port' && values.instance && values.instance !== DEFAULT_INSTANCE;
+        const layers = [
+            ['flag', flags[key]],
+            [spec.env ? `env: ${spec.env}` : 'env', spec.env && !instancePort ? process.env[spec.env] : undefined],
+            ['project', project?.overrides[key]],
+            ['file', getConfigPath(file.data, instancePort ? `instances.${values.instance}.port` : key)],
+        ];
+        values[key] = spec.default;
+        sources[key] = 'default';
+        for (const [source, raw] of layers) {
+            if (raw === undefined || raw === null || raw === '') continue;
+            const parsed = spec.parse(raw);
+            if (parsed === null) continue;
+            values[key] = parsed;
+            sources[key] = source;
+            break;
+        }
+    }
+
+    return { values, sources, fileError: file.error };
+}
+
+/**
+ * Check the config file against CONFIG_SCHEMA.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+export function validateConfigData(data) {
+    const problems = [];
+    const known = new Set(Object.keys(CONFIG_SCHEMA));
+
+    const walk = (node, prefix) => {
+        for (const [k, v] of Object.entries(node)) {
+            const key = prefix ? `${prefix}.${k}` : k;
+            if (key === 'profiles') {
+                problems.push(...validateProfilesData(v));
+            } else if (key === 'instances') {
+                problems.push(...validateInstancesData(v));
+            } else if (known.has(key)) {
+                if (CONFIG_SCHEMA[key].parse(v) === null) {
+                    problems.push(`${key}: invalid value ${JSON.stringify(v)} (expected ${CONFIG_SCHEMA[key].hint})`);
+                }
+            } else if (isPlainObject(v) && [...known].some(n => n.startsWith(`${key}.`))) {
+                walk(v, key);
+            } else {
+                problems.push(`${key}: unknown key`);
+            }
+        }
+    };
+    walk(data, '');
+    return problems;
+}
+
+/**
+ * Config values from `options.config`, or resolved from env and the config
+ * file when the caller did not pass any.
+ */
+function getConfigValues(options) {
+    return options.config ?? resolveConfig().values;
+}
+
+// --- Model Profiles ---
+
+export function sanitizeProfileName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim();
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/.test(name)) return null;
+    return name;
+}
+
+export function validateProfilesData(profiles) {
+    if (!isPlainObject(profiles)) return ['profiles: must be an object'];
+    const problems = [];
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (sanitizeProfileName(name) === null) {
+            problems.push(`profiles.${name}: invalid profile name`);
+            continue;
+        }
+        if (!isPlainObject(profile)) {
+            problems.push(`profiles.${name}: must be an object`);
+            continue;
+        }
+        for (const [slot, id] of Object.entries(profile)) {
+            if (!MODEL_SLOTS.includes(slot)) {
+                problems.push(`profiles.${name}.${slot}: unknown model slot`);
+            } else if (sanitizeModelId(id) === null) {
+                problems.push(`profiles.${name}.${slot}: invalid model ID ${JSON.stringify(id)}`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * All profiles: built-ins overlaid with the config file's `profiles`.
+ * Invalid user profiles are skipped (`config validate` reports them).
+ */
+export function getProfiles() {
+    const profiles = { ...BUILTIN_PROFILES };
+    const userProfiles = loadConfigFile().data.profiles;
+    if (!isPlainObject(userProfiles)) return profiles;
+
+    for (const [name, profile] of Object.entries(userProfiles)) {
+        if (sanitizeProfileName(name) === null || !isPlainObject(profile)) continue;
+        if (validateProfilesData({ [name]: profile }).length > 0) continue;
+        profiles[name] = { ...profile };
+    }
+    return profiles;
+}
+
+/**
+ * Turn a profile name into config flag overrides (`models.<slot>` keys).
+ * Returns null for unknown profiles.
+ */
+export function getProfileOverrides(name) {
+    const profiles = getProfiles();
+    if (!Object.hasOwn(profiles, name)) return null;
+    const overrides = {};
+    for (const [slot, id] of Object.entries(profiles[name])) {
+        overrides[`models.${slot}`] = id;
+    }
+    return overrides;
+}
+
+// --- Project Config ---
+
+/** Per-project settings, looked up from the working directory upwards. */
+export const PROJECT_CONFIG_FILE_NAME = '.vertexhub.json';
+
+const PROJECT_CONFIG_KEYS = ['profile', 'models', 'env', 'instance', 'port', 'claudeArgs'];
+
+/** Set by VertexHub itself to route Claude Code through the proxy. */
+const RESERVED_PROJECT_ENV = ['ANTHROPIC_BASE_URL', 'ANTHROPIC_AUTH_TOKEN'];
+
+/**
+ * The nearest .vertexhub.json in `dir` or one of its parents, or null.
+ */
+export function findProjectConfig(dir = process.cwd()) {
+    let current = resolve(dir);
+    for (;;) {
+        const file = join(current, PROJECT_CONFIG_FILE_NAME);
+        if (existsSync(file) && statSync(file).isFile()) return file;
+        const parent = dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+/**
+ * Read and validate a project file:
+ *
+ *   { "profile": "fast", "models": { "main": "..." }, "env": { "NAME": "value" },
+ *     "instance": "web", "port": 8095, "claudeArgs": ["--verbose"] }
+ *
+ * Every key is optional. Returns `{ file, profile, models, env, instance,
+ * port, claudeArgs, overrides }` where `overrides` maps the config keys the
+ * file sets (the profile's models, then `models`, `instance` and `port`) for
+ * resolveConfig(). Throws ProjectConfigError when the file is unreadable or
+ * invalid.
+ */
+export function loadProjectConfig(file) {
+    const fail = (message) => {
+        throw new ProjectConfigError(`${file}: ${message}`, { file });
+    };
+
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new ProjectConfigError(`Cannot read ${file}: ${e.message}`, { file, cause: e });
+    }
+    if (!isPlainObject(data)) fail('top-level value must be a JSON object');
+    const unknown = Object.keys(data).find(key => !PROJECT_CONFIG_KEYS.includes(key));
+    if (unknown) fail(`unknown key "${unknown}" (expected ${PROJECT_CONFIG_KEYS.join(', ')})`);
+
+    const project = { file, profile: null, models: {}, env: {}, instance: null, port: null, claudeArgs: [], overrides: {} };
+
+    if (data.profile !== undefined) {
+        const profiles = getProfiles();
+        if (typeof data.profile !== 'string' || !Object.hasOwn(profiles, data.profile)) {
+            fail(`unknown profile ${JSON.stringify(data.profile)} (available: ${Object.keys(profiles).join(', ')})`);
+        }
+        project.profile = data.profile;
+        for (const [slot, id] of Object.entries(profiles[data.profile])) project.overrides[`models.${slot}`] = id;
+    }
+    if (data.models !== undefined) {
+        if (!isPlainObject(data.models)) fail('models must be an object of slot: model ID');
+        for (const [slot, id] of Object.entries(data.models)) {
+            if (!MODEL_SLOTS.includes(slot)) fail(`models: unknown slot "${slot}" (expected ${MODEL_SLOTS.join(', ')})`);
+            const model = sanitizeModelId(id);
+            if (!model) fail(`models.${slot}: invalid value ${JSON.stringify(id)} (expected ${CONFIG_SCHEMA[`models.${slot}`].hint})`);
+            project.models[slot] = model;
+            project.overrides[`models.${slot}`] = model;
+        }
+    }
+    if (data.env !== undefined) {
+        if (!isPlainObject(data.env)) fail('env must be an object of NAME: value');
+        for (const [name, value] of Object.entries(data.env)) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) fail(`env: invalid variable name ${JSON.stringify(name)}`);
+            if (RESERVED_PROJECT_ENV.includes(name)) fail(`env: ${name} is set by VertexHub (use "instance" or "port" instead)`);
+            if (typeof value !== 'string' || value.includes('\0')) fail(`env.${name} must be a string`);
+            project.env[name] = value;
+        }
+    }
+    for (const key of ['instance', 'port']) {
+        if (data[key] === undefined) continue;
+        const value = CONFIG_SCHEMA[key].parse(data[key]);
+        if (value === null) fail(`${key}: invalid value ${JSON.stringify(data[key])} (expected ${CONFIG_SCHEMA[key].hint})`);
+        project[key] = value;
+        project.overrides[key] = value;
+    }
+    if (data.claudeArgs !== undefined) {
+        if (!Array.isArray(data.claudeArgs) || !data.claudeArgs.every(arg => typeof arg === 'string')) {
+            fail('claudeArgs must be an array of strings');
+        }
+        project.claudeArgs = [...data.claudeArgs];
+    }
+    return project;
+}
+
+// --- Instances ---
+
+export function sanitizeInstanceName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim();
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/.test(name)) return null;
+    return name;
+}
+
+export function validateInstancesData(instances) {
+    if (!isPlainObject(instances)) return ['instances: must be an object'];
+    const problems = [];
+    for (const [name, instance] of Object.entries(instances)) {
+        if (sanitizeInstanceName(name) === null || name === DEFAULT_INSTANCE) {
+            problems.push(`instances.${name}: invalid instance name`);
+            continue;
+        }
+        if (!isPlainObject(instance)) {
+            problems.push(`instances.${name}: must be an object`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(instance)) {
+            if (key !== 'port') {
+                problems.push(`instances.${name}.${key}: unknown key`);
+            } else if (sanitizePort(String(value)) === null) {
+                problems.push(`instances.${name}.port: invalid value ${JSON.stringify(value)} (expected ${CONFIG_SCHEMA.port.hint})`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Files that belong to an instance. The default instance keeps the original
+ * top-level locations and the user's own account store (`home: null`); a
+ * named instance gets a directory of its own, and its proxy runs with HOME
+ * pointed at `home` so antigravity-proxy keeps a separate account store.
+ * `claudeDir` is the Claude Code config directory of isolated sessions.
+ */
+export function getInstancePaths(name = DEFAULT_INSTANCE) {
+    const paths = getPaths();
+    if (name === DEFAULT_INSTANCE) {
+        return {
+            name,
+            dir: paths.stateDir,
+            stateFile: paths.proxyStateFile,
+            logFile: paths.logFile,
+            usageFile: paths.usageFile,
+            home: null,
+            claudeDir: join(paths.stateDir, 'claude'),
+        };
+    }
+    const dir = join(paths.instancesDir, name);
+    return {
+        name,
+        dir,
+        stateFile: join(dir, 'proxy.json'),
+        logFile: join(dir, 'logs', 'proxy.log'),
+        usageFile: join(dir, 'usage.jsonl'),
+        home: join(dir, 'home'),
+        claudeDir: join(dir, 'claude'),
+    };
+}
+
+/**
+ * Resolve true if nothing is listening on host:port.
+ */
+export function isPortFree(port, host = DEFAULT_HOST) {
+    return new Promise((resolve) => {
+        const server = createServer();
+        server.once('error', () => resolve(false));
+        server.once('listening', () => server.close(() => resolve(true)));
+        server.listen(Number(port), host);
+    });
+}
+
+/**
+ * The first free port from `from` upwards (at most 1000 are tried),
+ * skipping those in `exclude`. Resolves to null when none is free.
+ */
+export async function findFreePort({ from, host = DEFAULT_HOST, exclude = [] }) {
+    const skip = new Set(exclude.map(String));
+    for (let port = Number(from); port <= 65535 && port < Number(from) + 1000; port++) {
+        if (!skip.has(String(port)) && await isPortFree(port, host)) return String(port);
+    }
+    return null;
+}
+
+/**
+ * Ports the config file reserves: the default instance's and every named
+ * instance's, whether or not their proxies are running.
+ */
+export function getClaimedPorts() {
+    const instances = loadConfigFile().data.instances;
+    const taken = new Set([String(DEFAULT_PORT), resolveConfig({ instance: DEFAULT_INSTANCE }).values.port]);
+    if (isPlainObject(instances)) {
+        for (const instance of Object.values(instances)) {
+            if (isPlainObject(instance) && instance.port !== undefined) taken.add(String(instance.port));
+        }
+    }
+    return [...taken];
+}
+
+/**
+ * Pick a port for a new named instance: the first free one above the default
+ * port that no other instance has claimed in the config file.
+ */
+export async function allocateInstancePort(options = {}) {
+    const values = getConfigValues(options);
+    const port = await findFreePort({ from: Number(DEFAULT_PORT) + 1, host: values.host, exclude: getClaimedPorts() });
+    if (port) return port;
+    throw new ProxyStartError(`No free port found for instance "${values.instance}"`, { code: 'PROXY_PORT_UNAVAILABLE' });
+}
+
+/**
+ * Every instance VertexHub knows about: the default one, those configured
+ * under `instances` in the config file and those with a state directory.
+ * Each entry is `{ name, port, paths, state }` where `state` is the live
+ * proxy state (see getTrackedProxy) or null.
+ */
+export function listInstances() {
+    const names = new Set([DEFAULT_INSTANCE]);
+    const file = loadConfigFile();
+    if (isPlainObject(file.data.instances)) {
+        for (const name of Object.keys(file.data.instances)) {
+            if (sanitizeInstanceName(name) !== null) names.add(name);
+        }
+    }
+    try {
+        for (const entry of readdirSync(getPaths().instancesDir, { withFileTypes: true })) {
+            if (entry.isDirectory() && sanitizeInstanceName(entry.name) !== null) names.add(entry.name);
+        }
+    } catch { /* no named instance has run yet */ }
+
+    return [...names].map((name) => {
+        const state = getTrackedProxy(name);
+        const port = state?.port ?? resolveConfig({ instance: name }).values.port;
+        return { name, port, paths: getInstancePaths(name), state };
+    });
+}
+
+// --- Environment ---
+
+/**
+ * Find node binary. Tries system PATH first, then NVM.
+ * Returns absolute path or 'node' if available on PATH.
+ */
+export function getNodeBin() {
+    // Try system node first
+    try {
+        const result = execSync('which node', { stdio: 'pipe', encoding: 'utf-8', timeout: 5000 }).trim();
+        if (result) return result;
+    } catch { /* not on PATH */ }
+
+    // Try NVM
+    const nvmDir = join(homedir(), '.nvm');
+    if (existsSync(nvmDir)) {
+        try {
+            const result = execSync(
+                `bash -c 'export NVM_DIR="$HOME/.nvm" && source "$NVM_DIR/nvm.sh" && which node'`,
+                { stdio: 'pipe', encoding: 'utf-8', timeout: 10000 }
+            ).trim();
+            if (result && existsSync(result)) return result;
+        } catch { /* NVM not available */ }
+    }
+
+    return null;
+}
+
+/**
+ * Locate an executable on PATH. Returns its absolute path or null.
+ */
+export function findBinary(name) {
+    try {
+        return execSync(`which ${name}`, { stdio: 'pipe', encoding: 'utf-8', timeout: 5000 }).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check that `proxyDir` holds an antigravity-proxy checkout and return its
+ * entry point. Throws ProxyDirError (code PROXY_DIR_NOT_FOUND or
+ * PROXY_ENTRY_NOT_FOUND).
+ */
+export function checkProxyDir(proxyDir) {
+    if (!existsSync(proxyDir)) {
+        throw new ProxyDirError(`Proxy directory not found: ${proxyDir}`, { code: 'PROXY_DIR_NOT_FOUND', path: proxyDir });
+    }
+    const indexPath = join(proxyDir, 'src', 'index.js');
+    if (!existsSync(indexPath)) {
+        throw new ProxyDirError(`Proxy entry point not found: ${indexPath}`, { code: 'PROXY_ENTRY_NOT_FOUND', path: indexPath });
+    }
+    return indexPath;
+}
+
+// --- Proxy Setup ---
+
+/** antigravity-proxy releases this version of VertexHub is known to work with. */
+export const SUPPORTED_PROXY_VERSIONS = '>=2.0.0 <3.0.0';
+
+/**
+ * Parse the `x.y.z` part of a version string ("v2.1.0", "2.1.0-beta.1").
+ * Returns `[major, minor, patch]` or null.
+ */
+export function parseVersion(version) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)/.exec(String(version ?? '').trim());
+    return match ? match.slice(1, 4).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Check a proxy version against a range of space-separated comparators
+ * (`>=`, `>`, `<=`, `<`, `=`), e.g. ">=2.0.0 <3.0.0". Returns
+ * `{ version, range, compatible }` where `compatible` is null when the
+ * version is missing or not in x.y.z form.
+ */
+export function checkProxyVersion(version, range = SUPPORTED_PROXY_VERSIONS) {
+    const parsed = parseVersion(version);
+    if (!parsed) return { version: version ?? null, range, compatible: null };
+
+    const compatible = range.trim().split(/\s+/).every((comparator) => {
+        const [, op = '=', bound] = /^(>=|<=|>|<|=)?(.*)$/.exec(comparator);
+        const limit = parseVersion(bound);
+        if (!limit) throw new TypeError(`Invalid version range: ${range}`);
+        const cmp = compareVersions(parsed, limit);
+        return { '>=': cmp >= 0, '>': cmp > 0, '<=': cmp <= 0, '<': cmp < 0, '=': cmp === 0 }[op];
+    });
+    return { version, range, compatible };
+}
+
+/**
+ * The `version` from a proxy checkout's package.json, or null.
+ */
+export function readProxyPackageVersion(proxyDir) {
+    try {
+        const pkg = JSON.parse(readFileSync(join(proxyDir, 'package.json'), 'utf-8'));
+        return typeof pkg?.version === 'string' ? pkg.version : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Places a proxy checkout is commonly found, most specific first: the
+ * configured proxyDir, the sibling checkout, the `vertexhub setup` install
+ * dir, the home directory and the global npm packages.
+ */
+export function getProxyDirCandidates(options = {}) {
+    const values = getConfigValues(options);
+    const candidates = [
+        ...(values.proxyDir !== DEFAULT_PROXY_DIR ? [{ dir: values.proxyDir, source: 'config' }] : []),
+        { dir: DEFAULT_PROXY_DIR, source: 'sibling' },
+        { dir: getPaths().proxyInstallDir, source: 'installed' },
+        { dir: join(homedir(), 'antigravity-proxy'), source: 'home' },
+        { dir: join(homedir(), 'antigravity-claude-proxy'), source: 'home' },
+    ];
+    try {
+        const npmRoot = execSync('npm root -g', { stdio: 'pipe', encoding: 'utf-8', timeout: 10000 }).trim();
+        if (npmRoot) candidates.push({ dir: join(npmRoot, 'antigravity-claude-proxy'), source: 'npm' });
+    } catch { /* npm not installed */ }
+
+    const seen = new Set();
+    return candidates.filter(({ dir }) => !seen.has(dir) && seen.add(dir));
+}
+
+/**
+ * Inspect every candidate location (see getProxyDirCandidates). Each entry is
+ * `{ dir, source, found, error, version, compatible }`; `found` means the
+ * directory holds a proxy entry point.
+ */
+export function discoverProxyDirs(options = {}) {
+    return getProxyDirCandidates(options).map(({ dir, source }) => {
+        let error = null;
+        try {
+            checkProxyDir(dir);
+        } catch (e) {
+            if (!(e instanceof ProxyDirError)) throw e;
+            error = e.message;
+        }
+        const version = error ? null : readProxyPackageVersion(dir);
+        return { dir, source, found: !error, error, version, compatible: error ? null : checkProxyVersion(version).compatible };
+    });
+}
+
+/**
+ * Unpack a proxy release tarball (.tgz/.tar.gz, e.g. from `npm pack`) into
+ * `dest`, replacing what was there. Returns `dest`. Throws ProxyDirError
+ * (code PROXY_TARBALL_INVALID) when the archive cannot be extracted or holds
+ * no proxy.
+ */
+export function installProxyTarball(file, { dest = getPaths().proxyInstallDir } = {}) {
+    mkdirSync(dirname(dest), { recursive: true, mode: 0o700 });
+    const staging = mkdtempSync(`${dest}.tmp-`);
+    try {
+        try {
+            execFileSync('tar', ['-xzf', file, '-C', staging], { stdio: 'pipe', timeout: 120000 });
+        } catch (e) {
+            throw new ProxyDirError(`Cannot extract ${file}: ${String(e.stderr || e.message).trim()}`, {
+                code: 'PROXY_TARBALL_INVALID',
+                path: file,
+                cause: e,
+            });
+        }
+
+        // npm pack archives have a single package/ root; GitHub ones a <repo>-<tag>/ root
+        const entries = readdirSync(staging);
+        const root = entries.length === 1 && statSync(join(staging, entries[0])).isDirectory()
+            ? join(staging, entries[0])
+            : staging;
+        try {
+            checkProxyDir(root);
+        } catch (e) {
+            if (!(e instanceof ProxyDirError)) throw e;
+            throw new ProxyDirError(`${file} does not contain antigravity-proxy (no src/index.js)`, {
+                code: 'PROXY_TARBALL_INVALID',
+                path: file,
+            });
+        }
+
+        rmSync(dest, { recursive: true, force: true });
+        renameSync(root, dest);
+        return dest;
+    } finally {
+        rmSync(staging, { recursive: true, force: true });
+    }
+}
+
+// --- Proxy API ---
+
+export function getProxyUrl(values = resolveConfig().values) {
+    return `http://${values.host}:${values.port}`;
+}
+
+/**
+ * GET a JSON endpoint of the proxy. Throws ProxyNotRunningError when nothing
+ * answers and ProxyRequestError on an HTTP error or a non-JSON body.
+ */
+async function requestProxyJson(url, path, timeout) {
+    let response;
+    try {
+        response = await fetch(`${url}${path}`, { signal: AbortSignal.timeout(timeout) });
+    } catch (e) {
+        throw new ProxyNotRunningError(`Proxy not reachable at ${url}: ${e.cause?.message || e.message}`, { url, cause: e });
+    }
+    if (!response.ok) {
+        throw new ProxyRequestError(`GET ${path} returned HTTP ${response.status}`, { url, status: response.status });
+    }
+    try {
+        return await response.json();
+    } catch (e) {
+        throw new ProxyRequestError(`GET ${path} did not return JSON`, { url, status: response.status, cause: e });
+    }
+}
+
+/**
+ * True when the proxy answers /health with a 2xx status. Never throws.
+ */
+export async function isProxyRunning(options = {}) {
+    try {
+        const response = await fetch(`${getProxyUrl(getConfigValues(options))}/health`, {
+            signal: AbortSignal.timeout(options.timeout ?? 2000),
+        });
+        return response.ok;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Fetch /health and /account-limits. `limits` is null when the proxy does
+ * not report account limits; an unreachable or failing /health throws.
+ */
+export async function getProxyStatus(options = {}) {
+    const url = getProxyUrl(getConfigValues(options));
+    const timeout = options.timeout ?? 3000;
+    const [health, limits] = await Promise.all([
+        requestProxyJson(url, '/health', timeout),
+        requestProxyJson(url, '/account-limits', timeout).catch(() => null),
+    ]);
+    return { health, limits };
+}
+
+/**
+ * Fetch the proxy's /v1/models list (`{ data: [{ id, ... }] }`).
+ */
+export async function getModels(options = {}) {
+    return requestProxyJson(getProxyUrl(getConfigValues(options)), '/v1/models', options.timeout ?? 3000);
+}
+
+/**
+ * Normalize /account-limits into a list of account entries. Older proxies
+ * return a bare array (or a single object); newer ones wrap it in `accounts`.
+ */
+export function normalizeAccounts(limits) {
+    if (!limits) return [];
+    if (Array.isArray(limits)) return limits.filter(isPlainObject);
+    if (Array.isArray(limits.accounts)) return limits.accounts.filter(isPlainObject);
+    return isPlainObject(limits) ? [limits] : [];
+}
+
+/**
+ * Normalize one per-model quota entry from /account-limits. The proxy reports
+ * `{ remainingFraction: 0.42, remaining: '42%', resetTime: ISO }`; older
+ * builds send only `remaining` (percent string or 0–100 number) or a
+ * millisecond `resetAt`. Returns null fields for anything missing.
+ */
+export function normalizeQuota(limit) {
+    if (!isPlainObject(limit)) return { remainingFraction: null, resetAt: null };
+
+    let fraction = null;
+    if (typeof limit.remainingFraction === 'number') {
+        fraction = limit.remainingFraction;
+    } else if (typeof limit.remaining === 'string' && /^\d+(\.\d+)?%$/.test(limit.remaining.trim())) {
+        fraction = parseFloat(limit.remaining) / 100;
+    } else if (typeof limit.remaining === 'number') {
+        fraction = limit.remaining > 1 ? limit.remaining / 100 : limit.remaining;
+    }
+    if (fraction !== null) fraction = Number.isFinite(fraction) ? Math.min(1, Math.max(0, fraction)) : null;
+
+    const rawReset = limit.resetTime ?? limit.resetAt ?? null;
+    const resetMs = typeof rawReset === 'number' ? rawReset : Date.parse(rawReset);
+    return {
+        remainingFraction: fraction,
+        resetAt: Number.isFinite(resetMs) ? new Date(resetMs).toISOString() : null,
+    };
+}
+
+/**
+ * Per-model quotas of one account, sorted by model ID. `limits` may be keyed
+ * by model ID or be an array of `{ model, ... }` entries.
+ */
+export function getAccountQuotas(acc) {
+    const entries = Array.isArray(acc.limits)
+        ? acc.limits.filter(isPlainObject).map(l => [l.model ?? l.modelId, l])
+        : Object.entries(isPlainObject(acc.limits) ? acc.limits : {});
+
+    return entries
+        .filter(([model]) => typeof model === 'string' && model)
+        .map(([model, limit]) => ({ model, ...normalizeQuota(limit) }))
+        .sort((a, b) => a.model.localeCompare(b.model));
+}
+
+// --- Accounts ---
+
+/**
+ * antigravity-proxy's account store (~/.config/antigravity-proxy/accounts.json)
+ * for an instance. Named instances run the proxy with their own HOME, so each
+ * has a store of its own.
+ */
+export function getAccountsFile(instance = DEFAULT_INSTANCE) {
+    return join(getInstancePaths(instance).home ?? homedir(), '.config', 'antigravity-proxy', 'accounts.json');
+}
+
+/**
+ * Read the account store of the configured instance. Returns
+ * `{ file, exists, data, accounts }`: `data` is the raw file and `accounts`
+ * are `{ email, enabled, invalid, invalidReason, addedAt, lastUsed }`.
+ * A missing file has no accounts. Throws AccountStoreError when it is
+ * unreadable or has no `accounts` list.
+ */
+export function readAccountStore(options = {}) {
+    const file = getAccountsFile(getConfigValues(options).instance);
+    const { data, exists, error } = readJsonObjectFile(file);
+    if (error) throw new AccountStoreError(`Account store ${file} is unreadable: ${error}`, { file });
+    if (exists && !Array.isArray(data.accounts)) {
+        throw new AccountStoreError(`Account store ${file} has no "accounts" list`, { file });
+    }
+    const accounts = (data.accounts ?? []).filter(isPlainObject).map(acc => ({
+        email: typeof acc.email === 'string' ? acc.email : null,
+        enabled: acc.enabled !== false,
+        invalid: acc.isInvalid === true,
+        invalidReason: typeof acc.invalidReason === 'string' ? acc.invalidReason : null,
+        addedAt: acc.addedAt ?? null,
+        lastUsed: acc.lastUsed ?? null,
+    }));
+    return { file, exists, data, accounts };
+}
+
+/**
+ * The index of the store entry for `email` (compared case-insensitively).
+ * Throws AccountNotFoundError when there is none.
+ */
+function findStoredAccount(store, email) {
+    const index = (store.data.accounts ?? []).findIndex(acc =>
+        isPlainObject(acc) && typeof acc.email === 'string' && acc.email.toLowerCase() === email.toLowerCase());
+    if (index === -1) {
+        throw new AccountNotFoundError(`No linked account ${email} in ${store.file}`, { email, file: store.file });
+    }
+    return index;
+}
+
+/**
+ * Change the store entry for `email` with `update(data, index)` and return
+ * what it returns. Throws ProxyRunningError while the proxy runs: it keeps
+ * the accounts in memory and would overwrite the file.
+ */
+async function changeAccount(email, update, options) {
+    const values = getConfigValues(options);
+    const store = readAccountStore({ config: values });
+    const index = findStoredAccount(store, email);
+    if (await isProxyRunning({ config: values })) {
+        const url = getProxyUrl(values);
+        throw new ProxyRunningError(`The proxy at ${url} is running. Stop it to change accounts.`, { url });
+    }
+    const result = update(store.data, index);
+    writeFileSecure(store.file, JSON.stringify(store.data, null, 2));
+    return result;
+}
+
+/**
+ * Unlink an account. The active account index only moves when it would
+ * point past the end, as the proxy does it. Resolves to the stored email.
+ * Throws AccountNotFoundError, AccountStoreError, or ProxyRunningError
+ * while the proxy runs.
+ */
+export function removeAccount(email, options = {}) {
+    return changeAccount(email, (data, index) => {
+        const [removed] = data.accounts.splice(index, 1);
+        if (Number.isInteger(data.activeIndex) && data.activeIndex >= data.accounts.length) {
+            data.activeIndex = Math.max(0, data.accounts.length - 1);
+        }
+        return removed.email;
+    }, options);
+}
+
+/**
+ * Enable or disable an account without unlinking it; the proxy skips
+ * accounts with `enabled: false`. Resolves to `{ email, changed }`. Throws
+ * like removeAccount.
+ */
+export function setAccountEnabled(email, enabled, options = {}) {
+    return changeAccount(email, (data, index) => {
+        const account = data.accounts[index];
+        const changed = (account.enabled !== false) !== enabled;
+        account.enabled = enabled;
+        return { email: account.email, changed };
+    }, options);
+}
+
+// --- Model Ping ---
+
+export const PING_PROMPT = 'Reply with the single word: pong';
+
+/**
+ * Send one minimal streaming /v1/messages request for `model` and time it.
+ * Never throws: failures (unreachable proxy, HTTP error, error event in the
+ * stream, timeout) come back as `ok: false` with `error` set.
+ *
+ * Returns `{ model, ok, status, ttftMs, latencyMs, outputTokens,
+ * tokensPerSecond, error }`. `ttftMs` is the time to the first content
+ * delta; `tokensPerSecond` is the output rate after it (null when unknown).
+ */
+export async function pingModel(model, options = {}) {
+    const values = getConfigValues(options);
+    const result = { model, ok: false, status: null, ttftMs: null, latencyMs: null, outputTokens: null, tokensPerSecond: null, error: null };
+    const started = Date.now();
+    const elapsed = () => Date.now() - started;
+
+    try {
+        const response = await fetch(`${getProxyUrl(values)}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'anthropic-version': '2023-06-01',
+                authorization: `Bearer ${values.authToken}`,
+            },
+            body: JSON.stringify({
+                model,
+                max_tokens: options.maxTokens ?? 16,
+                stream: true,
+                messages: [{ role: 'user', content: PING_PROMPT }],
+            }),
+            signal: AbortSignal.timeout(options.timeout ?? 60000),
+        });
+        result.status = response.status;
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            let message = body.trim().slice(0, 300);
+            try {
+                message = JSON.parse(body)?.error?.message || message;
+            } catch { /* not JSON: keep the raw text */ }
+            result.error = `HTTP ${response.status}${message ? `: ${message}` : ''}`;
+            result.latencyMs = elapsed();
+            return result;
+        }
+
+        const decoder = new TextDecoder();
+        let pending = '';
+        const readEvent = (line) => {
+            if (!line.startsWith('data:')) return;
+            let event;
+            try {
+                event = JSON.parse(line.slice(5));
+            } catch {
+                return;
+            }
+            if (event?.type === 'content_block_delta' && result.ttftMs === null) {
+                result.ttftMs = elapsed();
+            } else if (event?.type === 'message_delta' && Number.isFinite(event.usage?.output_tokens)) {
+                result.outputTokens = event.usage.output_tokens;
+            } else if (event?.type === 'error') {
+                result.error = event.error?.message || 'Error event in stream';
+            }
+        };
+        for await (const chunk of response.body) {
+            const lines = (pending + decoder.decode(chunk, { stream: true })).split('\n');
+            pending = lines.pop();
+            lines.forEach(readEvent);
+        }
+        readEvent(pending);
+        result.latencyMs = elapsed();
+
+        if (!result.error && result.ttftMs === null) result.error = 'Stream ended without any content';
+    } catch (e) {
+        result.latencyMs = elapsed();
+        result.error = e.name === 'TimeoutError'
+            ? `Timed out after ${options.timeout ?? 60000}ms`
+            : `Proxy not reachable: ${e.cause?.message || e.message}`;
+        return result;
+    }
+
+    result.ok = !result.error;
+    const generationMs = result.latencyMs - (result.ttftMs ?? 0);
+    if (result.ok && result.outputTokens && generationMs > 0) {
+        result.tokensPerSecond = Math.round((result.outputTokens / generationMs) * 10000) / 10;
+    }
+    return result;
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers (null for an empty list).
+ */
+export function percentile(numbers, p) {
+    if (numbers.length === 0) return null;
+    const sorted = [...numbers].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Summarize repeated pingModel() results: `{ count, ok, failed, ttftMs,
+ * latencyMs, tokensPerSecond }`, each metric `{ min, p50, p90, p99, max }`
+ * over the successful attempts (all null when none succeeded).
+ */
+export function summarizePings(results) {
+    const succeeded = results.filter(r => r.ok);
+    const stats = (key) => {
+        const numbers = succeeded.map(r => r[key]).filter(Number.isFinite);
+        return {
+            min: numbers.length ? Math.min(...numbers) : null,
+            p50: percentile(numbers, 50),
+            p90: percentile(numbers, 90),
+            p99: percentile(numbers, 99),
+            max: numbers.length ? Math.max(...numbers) : null,
+        };
+    };
+    return {
+        count: results.length,
+        ok: succeeded.length,
+        failed: results.length - succeeded.length,
+        ttftMs: stats('ttftMs'),
+        latencyMs: stats('latencyMs'),
+        tokensPerSecond: stats('tokensPerSecond'),
+    };
+}
+
+// --- Claude Code Settings ---
+
+/**
+ * Summarize ~/.claude/settings.json as far as VertexHub cares about it.
+ */
+export function readClaudeSettingsSummary() {
+    const paths = getPaths();
+    const summary = { file: paths.claudeSettingsFile, exists: false, valid: false, baseUrl: null, model: null };
+    if (!existsSync(paths.claudeSettingsFile)) return summary;
+    summary.exists = true;
+    try {
+        const settings = JSON.parse(readFileSync(paths.claudeSettingsFile, 'utf-8'));
+        summary.valid = true;
+        summary.baseUrl = settings?.env?.ANTHROPIC_BASE_URL ?? null;
+        summary.model = settings?.env?.ANTHROPIC_MODEL ?? null;
+    } catch { /* reported as valid: false */ }
+    return summary;
+}
+
+/** settings.json `env` keys that VertexHub owns (and restores on uninstall). */
+export const MANAGED_ENV_KEYS = [
+    'ANTHROPIC_AUTH_TOKEN',
+    'ANTHROPIC_BASE_URL',
+    'ANTHROPIC_MODEL',
+    'ANTHROPIC_DEFAULT_OPUS_MODEL',
+    'ANTHROPIC_DEFAULT_SONNET_MODEL',
+    'ANTHROPIC_DEFAULT_HAIKU_MODEL',
+    'CLAUDE_CODE_SUBAGENT_MODEL',
+];
+
+/**
+ * Read a JSON file that must hold an object. Missing files are empty objects;
+ * `error` is set when the file exists but cannot be used.
+ */
+export function readJsonObjectFile(file) {
+    if (!existsSync(file)) return { data: {}, exists: false, error: null };
+    try {
+        const data = JSON.parse(readFileSync(file, 'utf-8'));
+        // Ensure data is a plain object (defense against prototype pollution)
+        if (!isPlainObject(data)) return { data: {}, exists: true, error: 'not a JSON object' };
+        return { data, exists: true, error: null };
+    } catch (e) {
+        return { data: {}, exists: true, error: e.message };
+    }
+}
+
+function pickKeys(obj, keys) {
+    return Object.fromEntries(keys.filter(key => Object.hasOwn(obj, key)).map(key => [key, obj[key]]));
+}
+
+/**
+ * The settings.json `env` block VertexHub writes for the given config values.
+ */
+export function getManagedEnv(values = resolveConfig().values) {
+    return {
+        ANTHROPIC_AUTH_TOKEN: values.authToken,
+        ANTHROPIC_BASE_URL: getProxyUrl(values),
+        ANTHROPIC_MODEL: values['models.main'],
+        ANTHROPIC_DEFAULT_OPUS_MODEL: values['models.opus'],
+        ANTHROPIC_DEFAULT_SONNET_MODEL: values['models.sonnet'],
+        ANTHROPIC_DEFAULT_HAIKU_MODEL: values['models.haiku'],
+        CLAUDE_CODE_SUBAGENT_MODEL: values['models.subagent'],
+    };
+}
+
+/**
+ * Record the original values of everything VertexHub is about to change.
+ * Only the first backup is kept, so repeated `start`s never overwrite the
+ * user's real pre-VertexHub values with our own. Returns true when a new
+ * backup was written.
+ */
+function backupClaudeSettings(settingsFile, claudeJsonFile) {
+    const paths = getPaths();
+    if (existsSync(paths.claudeBackupFile)) return false;
+
+    const env = isPlainObject(settingsFile.data.env) ? settingsFile.data.env : {};
+    const backup = {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        settings: {
+            file: paths.claudeSettingsFile,
+            existed: settingsFile.exists,
+            hadEnv: isPlainObject(settingsFile.data.env),
+            env: Object.fromEntries(MANAGED_ENV_KEYS.map(key => [
+                key,
+                Object.hasOwn(env, key) ? { present: true, value: env[key] } : { present: false },
+            ])),
+        },
+        claudeJson: {
+            file: paths.claudeJsonFile,
+            existed: claudeJsonFile.exists,
+            hasCompletedOnboarding: Object.hasOwn(claudeJsonFile.data, 'hasCompletedOnboarding')
+                ? { present: true, value: claudeJsonFile.data.hasCompletedOnboarding }
+                : { present: false },
+        },
+    };
+
+    mkdirSync(paths.stateDir, { recursive: true, mode: 0o700 });
+    writeFileSecure(paths.claudeBackupFile, JSON.stringify(backup, null, 2));
+    return true;
+}
+
+/**
+ * Point Claude Code at the proxy: write the managed `env` keys to
+ * ~/.claude/settings.json and mark onboarding complete in ~/.claude.json,
+ * backing up the original values first. Files are only rewritten when
+ * something changed.
+ *
+ * Returns `{ backupFile, settings, claudeJson }`; each file entry is
+ * `{ file, before, after, written, error }` where before/after hold only the
+ * keys VertexHub manages. An unparseable settings.json is replaced; an
+ * unparseable ~/.claude.json is left untouched (`error` is set).
+ */
+export function configureClaudeSettings(options = {}) {
+    const paths = getPaths();
+    const values = getConfigValues(options);
+    mkdirSync(paths.claudeConfigDir, { recursive: true, mode: 0o700 });
+
+    const settingsFile = readJsonObjectFile(paths.claudeSettingsFile);
+    const claudeJsonFile = readJsonObjectFile(paths.claudeJsonFile);
+    const backupCreated = backupClaudeSettings(settingsFile, claudeJsonFile);
+
+    const settings = settingsFile.data;
+    const currentEnv = isPlainObject(settings.env) ? settings.env : {};
+    const managedEnv = getManagedEnv(values);
+    const before = pickKeys(currentEnv, MANAGED_ENV_KEYS);
+    const settingsChanged = MANAGED_ENV_KEYS.some(key => JSON.stringify(before[key]) !== JSON.stringify(managedEnv[key]));
+
+    if (settingsChanged || settingsFile.error) {
+        settings.env = { ...currentEnv, ...managedEnv };
+        writeFileSecure(paths.claudeSettingsFile, JSON.stringify(settings, null, 2));
+    }
+
+    const result = {
+        backupFile: backupCreated ? paths.claudeBackupFile : null,
+        settings: {
+            file: paths.claudeSettingsFile,
+            before,
+            after: managedEnv,
+            written: settingsChanged || !!settingsFile.error,
+            error: settingsFile.error,
+        },
+        claudeJson: {
+            file: paths.claudeJsonFile,
+            before: pickKeys(claudeJsonFile.data, ['hasCompletedOnboarding']),
+            after: pickKeys(claudeJsonFile.data, ['hasCompletedOnboarding']),
+            written: false,
+            error: claudeJsonFile.error,
+        },
+    };
+
+    // Never rewrite a ~/.claude.json we cannot parse: it holds far more than
+    // the onboarding flag.
+    if (!claudeJsonFile.error && !claudeJsonFile.data.hasCompletedOnboarding) {
+        const claudeJson = claudeJsonFile.data;
+        claudeJson.hasCompletedOnboarding = true;
+        writeFileSecure(paths.claudeJsonFile, JSON.stringify(claudeJson, null, 2));
+        result.claudeJson.after = { hasCompletedOnboarding: true };
+        result.claudeJson.written = true;
+    }
+
+    return result;
+}
+
+/**
+ * Undo configureClaudeSettings() using the backup: each managed key goes back
+ * to its original value (or is removed if it did not exist). Unrelated keys
+ * are left alone, and files VertexHub created are deleted again once empty.
+ *
+ * Returns null when there is no backup. Otherwise returns
+ * `{ settings, claudeJson }` with `{ file, before, after, action, error }`
+ * per file, where `action` is 'restored', 'removed' or null (unchanged).
+ * Throws ClaudeSettingsError when the backup or settings.json is unreadable.
+ */
+export function restoreClaudeSettings() {
+    const paths = getPaths();
+    if (!existsSync(paths.claudeBackupFile)) return null;
+
+    let backup;
+    try {
+        backup = JSON.parse(readFileSync(paths.claudeBackupFile, 'utf-8'));
+    } catch (e) {
+        throw new ClaudeSettingsError(`Backup ${paths.claudeBackupFile} is unreadable: ${e.message}`, { file: paths.claudeBackupFile, cause: e });
+    }
+    if (!isPlainObject(backup?.settings?.env) || !isPlainObject(backup?.claudeJson)) {
+        throw new ClaudeSettingsError(`Backup ${paths.claudeBackupFile} has an unexpected format.`, { file: paths.claudeBackupFile });
+    }
+
+    // settings.json
+    const settingsFile = readJsonObjectFile(paths.claudeSettingsFile);
+    if (settingsFile.error) {
+        throw new ClaudeSettingsError(`Cannot restore ${paths.claudeSettingsFile}: ${settingsFile.error}`, { file: paths.claudeSettingsFile });
+    }
+    const result = {
+        settings: { file: paths.claudeSettingsFile, before: {}, after: {}, action: null, error: null },
+        claudeJson: { file: paths.claudeJsonFile, before: {}, after: {}, action: null, error: null },
+    };
+
+    if (settingsFile.exists) {
+        const settings = settingsFile.data;
+        const env = isPlainObject(settings.env) ? { ...settings.env } : {};
+        result.settings.before = pickKeys(env, MANAGED_ENV_KEYS);
+        for (const key of MANAGED_ENV_KEYS) {
+            const original = backup.settings.env[key];
+            if (original?.present) {
+                env[key] = original.value;
+            } else {
+                delete env[key];
+            }
+        }
+        result.settings.after = pickKeys(env, MANAGED_ENV_KEYS);
+
+        if (JSON.stringify(result.settings.before) !== JSON.stringify(result.settings.after)) {
+            if (Object.keys(env).length > 0 || backup.settings.hadEnv) {
+                settings.env = env;
+            } else {
+                delete settings.env;
+            }
+
+            if (!backup.settings.existed && Object.keys(settings).length === 0) {
+                unlinkSync(paths.claudeSettingsFile);
+                result.settings.action = 'removed';
+            } else {
+                writeFileSecure(paths.claudeSettingsFile, JSON.stringify(settings, null, 2));
+                result.settings.action = 'restored';
+            }
+        }
+    }
+
+    // ~/.claude.json
+    const claudeJsonFile = readJsonObjectFile(paths.claudeJsonFile);
+    const onboarding = backup.claudeJson.hasCompletedOnboarding;
+    if (claudeJsonFile.error) {
+        result.claudeJson.error = claudeJsonFile.error;
+    } else if (claudeJsonFile.exists) {
+        const claudeJson = claudeJsonFile.data;
+        result.claudeJson.before = pickKeys(claudeJson, ['hasCompletedOnboarding']);
+        if (onboarding?.present) {
+            claudeJson.hasCompletedOnboarding = onboarding.value;
+        } else {
+            delete claudeJson.hasCompletedOnboarding;
+        }
+        result.claudeJson.after = pickKeys(claudeJson, ['hasCompletedOnboarding']);
+
+        if (JSON.stringify(result.claudeJson.before) !== JSON.stringify(result.claudeJson.after)) {
+            if (!backup.claudeJson.existed && Object.keys(claudeJson).length === 0) {
+                unlinkSync(paths.claudeJsonFile);
+                result.claudeJson.action = 'removed';
+            } else {
+                writeFileSecure(paths.claudeJsonFile, JSON.stringify(claudeJson, null, 2));
+                result.claudeJson.action = 'restored';
+            }
+        }
+    }
+
+    unlinkSync(paths.claudeBackupFile);
+    return result;
+}
+
+/**
+ * Prepare the VertexHub-owned Claude Code config directory for an isolated
+ * session (`options.dir`, by default the instance's `claudeDir`): its
+ * settings.json gets the managed `env` keys and its .claude.json the
+ * onboarding flag. ~/.claude and ~/.claude.json are never read or written.
+ *
+ * Returns `{ dir, env }`, where `env` is what the `claude` process needs:
+ * CLAUDE_CONFIG_DIR pointing at `dir`, plus the managed keys.
+ */
+export function prepareIsolatedClaudeConfig(options = {}) {
+    const values = getConfigValues(options);
+    const dir = options.dir ?? getInstancePaths(values.instance).claudeDir;
+    const managedEnv = getManagedEnv(values);
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    // Other settings (permissions, hooks, ...) made during earlier sessions stay
+    const settingsFile = join(dir, 'settings.json');
+    const settings = readJsonObjectFile(settingsFile).data;
+    const env = isPlainObject(settings.env) ? settings.env : {};
+    if (MANAGED_ENV_KEYS.some(key => env[key] !== managedEnv[key])) {
+        settings.env = { ...env, ...managedEnv };
+        writeFileSecure(settingsFile, JSON.stringify(settings, null, 2));
+    }
+
+    // With CLAUDE_CONFIG_DIR set, Claude Code keeps .claude.json in that directory too
+    const claudeJsonFile = join(dir, '.claude.json');
+    const claudeJson = readJsonObjectFile(claudeJsonFile);
+    if (!claudeJson.error && !claudeJson.data.hasCompletedOnboarding) {
+        claudeJson.data.hasCompletedOnboarding = true;
+        writeFileSecure(claudeJsonFile, JSON.stringify(claudeJson.data, null, 2));
+    }
+
+    return { dir, env: { CLAUDE_CONFIG_DIR: dir, ...managedEnv } };
+}
+
+/**
+ * Write one session's settings for `claude --settings <file>` into the
+ * instance's state dir, readable by the owner only. Passing a file keeps the
+ * auth token and project env off the command line, where `ps` shows them.
+ * Returns the file path; the caller deletes it when the session ends.
+ */
+export function writeSessionSettings(settings, options = {}) {
+    const { dir } = getInstancePaths(options.instance);
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const file = join(dir, `session-${randomUUID()}.json`);
+    writeFileSecure(file, JSON.stringify(settings, null, 2));
+    return file;
+}
+
+// --- Proxy State ---
+
+/**
+ * The state file records the proxy we spawned so `stop`/`restart` can signal
+ * exactly that process instead of whatever happens to own the port.
+ */
+export function saveProxyState(state) {
+    const { stateFile } = getInstancePaths(state.instance);
+    mkdirSync(dirname(stateFile), { recursive: true, mode: 0o700 });
+    writeFileSecure(stateFile, JSON.stringify(state, null, 2));
+}
+
+export function removeProxyState(pid, instance = DEFAULT_INSTANCE) {
+    if (pid !== undefined) {
+        // Only remove the file if it still describes this process
+        const current = readProxyState(instance);
+        if (current && current.pid !== pid) return;
+    }
+    try { unlinkSync(getInstancePaths(instance).stateFile); } catch { /* already gone */ }
+}
+
+export function readProxyState(instance = DEFAULT_INSTANCE) {
+    const { stateFile } = getInstancePaths(instance);
+    if (!existsSync(stateFile)) return null;
+    try {
+        const state = JSON.parse(readFileSync(stateFile, 'utf-8'));
+        if (!isPlainObject(state) || !Number.isInteger(state.pid) || state.pid <= 1 || typeof state.entry !== 'string') {
+            return { invalid: true };
+        }
+        return state;
+    } catch {
+        return { invalid: true };
+    }
+}
+
+export function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM: the PID exists but belongs to another user — never ours
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Read a process's argv. Uses /proc on Linux and `ps` elsewhere (where
+ * arguments containing spaces cannot be told apart — that only ever causes
+ * a false "not ours", never a false match).
+ */
+export function readProcessArgs(pid) {
+    try {
+        return readFileSync(`/proc/${pid}/cmdline`, 'utf-8').split('\0').filter(Boolean);
+    } catch { /* no procfs */ }
+    try {
+        return execSync(`ps -p ${Number(pid)} -o args=`, { stdio: 'pipe', encoding: 'utf-8', timeout: 5000 })
+            .trim().split(/\s+/);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Confirm the PID in a state file is still the proxy we started: it must be
+ * alive and have the proxy entry point as one of its exact arguments.
+ * Guards against PID reuse after a crash or reboot.
+ */
+export function isTrackedProxyProcess(state) {
+    if (!isProcessAlive(state.pid)) return false;
+    const args = readProcessArgs(state.pid);
+    return !!args && args.slice(1).includes(state.entry);
+}
+
+/**
+ * Return the state of the proxy VertexHub started for `instance`, or null
+ * when none is running. Stale state (dead or reused PID, unreadable file) is removed.
+ */
+export function getTrackedProxy(instance = DEFAULT_INSTANCE) {
+    const state = readProxyState(instance);
+    if (!state) return null;
+    if (state.invalid || !isTrackedProxyProcess(state)) {
+        removeProxyState(undefined, instance);
+        return null;
+    }
+    return state;
+}
+
+/**
+ * Stop a tracked proxy: SIGTERM its process group, then SIGKILL after
+ * `graceMs`. Resolves to `{ forced }`, true when SIGKILL was needed.
+ */
+export async function terminateProxy(state, { graceMs = 5000 } = {}) {
+    const signal = (sig) => {
+        try {
+            process.kill(-state.pid, sig);
+        } catch {
+            try { process.kill(state.pid, sig); } catch { /* already exited */ }
+        }
+    };
+
+    const { logFile } = getInstancePaths(state.instance);
+    appendProxyLogMarker(`Proxy stopped by VertexHub (PID ${state.pid})`, logFile);
+    signal('SIGTERM');
+    for (let i = 0; i < graceMs / 100 && isProcessAlive(state.pid); i++) {
+        await new Promise(r => setTimeout(r, 100));
+    }
+    const forced = isProcessAlive(state.pid);
+    if (forced) signal('SIGKILL');
+    removeProxyState(state.pid, state.instance);
+    return { forced };
+}
+
+// --- Proxy Logs ---
+
+/**
+ * Rotate proxy.log → proxy.log.1 → … → proxy.log.N once it exceeds LOG_MAX_BYTES.
+ */
+export function rotateProxyLog(logFile = getPaths().logFile) {
+    try { unlinkSync(`${logFile}.${LOG_KEEP}`); } catch { /* nothing to drop */ }
+    for (let i = LOG_KEEP - 1; i >= 1; i--) {
+        try { renameSync(`${logFile}.${i}`, `${logFile}.${i + 1}`); } catch { /* gap in history */ }
+    }
+    try { renameSync(logFile, `${logFile}.1`); } catch { /* no current log */ }
+}
+
+export function getProxyLogSize(logFile = getPaths().logFile) {
+    try { return statSync(logFile).size; } catch { return 0; }
+}
+
+/**
+ * Create the log dir and rotate before a new proxy run. A daemon writes to
+ * its file descriptor directly, so this is the only point its log can rotate.
+ */
+export function prepareProxyLog(logFile = getPaths().logFile) {
+    mkdirSync(dirname(logFile), { recursive: true, mode: 0o700 });
+    if (getProxyLogSize(logFile) >= LOG_MAX_BYTES) rotateProxyLog(logFile);
+}
+
+export function appendProxyLogMarker(message, logFile = getPaths().logFile) {
+    try {
+        appendFileSync(logFile, `${new Date().toISOString()} [vertexhub] ${message}\n`, { mode: 0o600 });
+    } catch { /* logging must never break the proxy lifecycle */ }
+}
+
+/**
+ * Return a function that appends proxy output to the log, one timestamped
+ * line at a time, rotating as the file grows. Call `.flush()` on exit to
+ * write any trailing partial line.
+ */
+export function createProxyLogWriter(logFile = getPaths().logFile) {
+    let size = getProxyLogSize(logFile);
+    const partial = { stdout: '', stderr: '' };
+
+    const append = (text) => {
+        try {
+            appendFileSync(logFile, text, { mode: 0o600 });
+        } catch { return; }
+        size += Buffer.byteLength(text);
+        if (size >= LOG_MAX_BYTES) {
+            rotateProxyLog(logFile);
+            size = 0;
+        }
+    };
+
+    const write = (stream, chunk) => {
+        const lines = (partial[stream] + chunk.toString()).split('\n');
+        partial[stream] = lines.pop();
+        if (lines.length === 0) return;
+        const timestamp = new Date().toISOString();
+        append(lines.map(line => `${timestamp} [${stream}] ${line}\n`).join(''));
+    };
+
+    write.flush = () => {
+        for (const stream of Object.keys(partial)) {
+            if (partial[stream]) write(stream, '\n');
+        }
+    };
+
+    return write;
+}
+
+export const LOG_TIMESTAMP_RE = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) /;
+
+/**
+ * Parse `--since` values: a duration (30s, 10m, 2h, 7d) or an ISO date.
+ * Returns epoch ms, or null when invalid.
+ */
+export function parseSince(value) {
+    const duration = /^(\d+)([smhd])$/.exec(String(value).trim());
+    if (duration) {
+        const unit = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[duration[2]];
+        return Date.now() - Number(duration[1]) * unit;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read all proxy log lines, oldest first. Daemon output is written untouched
+ * (no timestamps), so such lines inherit the time of the nearest earlier
+ * timestamped line — usually the "Proxy started" marker.
+ */
+export function readProxyLogLines(logFile = getPaths().logFile) {
+    const files = [];
+    for (let i = LOG_KEEP; i >= 1; i--) files.push(`${logFile}.${i}`);
+    files.push(logFile);
+
+    const lines = [];
+    let lastTime = 0;
+    for (const file of files) {
+        if (!existsSync(file)) continue;
+        for (const text of readFileSync(file, 'utf-8').split('\n')) {
+            if (!text) continue;
+            const match = LOG_TIMESTAMP_RE.exec(text);
+            if (match) lastTime = Date.parse(match[1]);
+            lines.push({ time: lastTime, text });
+        }
+    }
+    return lines;
+}
+
+// --- Hooks ---
+
+/** Most output of one hook run that is copied into the log. */
+const MAX_HOOK_OUTPUT = 16 * 1024;
+
+/**
+ * Run the command configured for `event` (config key `hooks.<event>`) in a
+ * shell, with `{ event, time, instance, ...details }` as JSON on stdin and
+ * VERTEXHUB_EVENT in its environment. After `hooks.timeoutSeconds` its whole
+ * process group gets SIGTERM, then SIGKILL 2s later. Its output and outcome
+ * go to the instance's proxy log, never to the terminal, so a hook cannot
+ * disturb a running Claude Code session.
+ *
+ * Resolves to null when no command is configured, otherwise to
+ * `{ event, command, code, signal, timedOut, durationMs, error }`. Never rejects.
+ */
+export function runHook(event, details = {}, options = {}) {
+    if (!HOOK_EVENTS.includes(event)) throw new TypeError(`Unknown hook event: ${event}`);
+    const values = getConfigValues(options);
+    const command = values[`hooks.${event}`];
+    if (!command) return Promise.resolve(null);
+
+    const { logFile } = getInstancePaths(values.instance);
+    const timeoutMs = Number(values['hooks.timeoutSeconds']) * 1000;
+    const payload = { event, time: new Date().toISOString(), instance: values.instance, ...details };
+    const started = Date.now();
+
+    return new Promise((resolve) => {
+        let output = '';
+        let timedOut = false;
+        let killTimer = null;
+
+        const child = spawn(command, {
+            shell: true,
+            cwd: options.cwd,
+            env: { ...process.env, VERTEXHUB_EVENT: event },
+            stdio: 'pipe',
+            detached: true,
+        });
+
+        const signalGroup = (signal) => {
+            try { process.kill(-child.pid, signal); } catch { /* already exited */ }
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            signalGroup('SIGTERM');
+            killTimer = setTimeout(() => signalGroup('SIGKILL'), 2000);
+        }, timeoutMs);
+
+        const collect = (chunk) => {
+            if (output.length < MAX_HOOK_OUTPUT) output += chunk.toString().slice(0, MAX_HOOK_OUTPUT - output.length);
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        // A hook that ignores its input may exit before reading it
+        child.stdin.on('error', () => {});
+        child.stdin.end(`${JSON.stringify(payload)}\n`);
+
+        let settled = false;
+        const finish = ({ code = null, signal = null, error = null }) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            const durationMs = Date.now() - started;
+            let outcome = `exited with code ${code}`;
+            if (error) outcome = `failed to run: ${error}`;
+            else if (timedOut) outcome = `timed out after ${timeoutMs / 1000}s`;
+            else if (signal) outcome = `killed by ${signal}`;
+            try { mkdirSync(dirname(logFile), { recursive: true, mode: 0o700 }); } catch { /* logging is best-effort */ }
+            appendProxyLogMarker(`Hook ${event} ${outcome} (${durationMs}ms): ${command}`, logFile);
+            for (const line of output.split('\n').filter(Boolean)) {
+                appendProxyLogMarker(`Hook ${event}> ${line}`, logFile);
+            }
+            resolve({ event, command, code, signal, timedOut, durationMs, error });
+        };
+        child.on('error', e => finish({ error: e.message }));
+        child.on('close', (code, signal) => finish({ code, signal }));
+    });
+}
+
+// --- OAuth ---
+
+const OAUTH_PARAM_RE = /^[A-Za-z0-9._~/+=-]{4,2048}$/;
+
+/**
+ * Validate a redirect URL pasted from the browser after Google sign-in
+ * (e.g. http://localhost:51121/oauth-callback?code=4/0A...&state=...).
+ * It must point at localhost with an explicit port and carry `code` and
+ * `state`. Returns `{ port, path, code, state }`; throws OAuthCallbackError.
+ */
+export function parseOAuthCallbackUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        throw new OAuthCallbackError('Not a URL. Copy the full address from the browser, starting with http://localhost:');
+    }
+
+    if (url.protocol !== 'http:' || !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+        throw new OAuthCallbackError(`Expected an http://localhost:<port>/... redirect URL, got ${url.protocol}//${url.hostname}`);
+    }
+    if (!url.port) throw new OAuthCallbackError('The redirect URL has no port (expected e.g. localhost:51121)');
+
+    const error = url.searchParams.get('error');
+    if (error) throw new OAuthCallbackError(`Google returned an error: ${error.slice(0, 100)}`);
+
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    if (!code || !OAUTH_PARAM_RE.test(code)) {
+        throw new OAuthCallbackError('The redirect URL has no valid "code" parameter — was it copied completely?');
+    }
+    if (!state || !OAUTH_PARAM_RE.test(state)) {
+        throw new OAuthCallbackError('The redirect URL has no valid "state" parameter — was it copied completely?');
+    }
+    if (!/^\/[A-Za-z0-9._~/-]*$/.test(url.pathname)) {
+        throw new OAuthCallbackError(`Unexpected redirect path: ${url.pathname.slice(0, 100)}`);
+    }
+
+    return { port: Number(url.port), path: url.pathname, code, state };
+}
+
+/**
+ * Deliver a parsed redirect (see parseOAuthCallbackUrl) to the OAuth callback
+ * listener on this machine, as the browser would have. Resolves to
+ * `{ status }`; throws OAuthCallbackError if nothing is listening or the
+ * listener rejects it.
+ */
+export async function forwardOAuthCallback(callback, { timeout = 10000 } = {}) {
+    const query = new URLSearchParams({ code: callback.code, state: callback.state });
+    const target = `http://localhost:${callback.port}${callback.path}?${query}`;
+    let response;
+    try {
+        response = await fetch(target, { redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+    } catch (e) {
+        throw new OAuthCallbackError(
+            `Nothing answered on localhost:${callback.port} (${e.cause?.message || e.message}). Is the login still waiting for the redirect?`,
+            { port: callback.port, cause: e },
+        );
+    }
+    await response.arrayBuffer().catch(() => null);
+    if (response.status >= 400) {
+        throw new OAuthCallbackError(`The OAuth listener rejected the redirect (HTTP ${response.status}); the code may have expired — start the login again`, {
+            port: callback.port,
+            status: response.status,
+        });
+    }
+    return { status: response.status };
+}
+
+// --- Port Owners ---
+
+/**
+ * PIDs of the processes listening on TCP `port` on any address. Uses /proc on
+ * Linux and lsof elsewhere; processes this user may not inspect are missing.
+ */
+export function findListeningPids(port) {
+    if (!existsSync('/proc/net/tcp')) {
+        try {
+            return execFileSync('lsof', ['-nP', `-iTCP:${Number(port)}`, '-sTCP:LISTEN', '-t'], {
+                encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000,
+            }).split('\n').filter(Boolean).map(Number);
+        } catch {
+            return [];
+        }
+    }
+
+    // Socket inodes in state 0A (LISTEN) on the port, then the processes holding them
+    const inodes = new Set();
+    for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+        let lines;
+        try {
+            lines = readFileSync(table, 'utf-8').trim().split('\n').slice(1);
+        } catch {
+            continue;
+        }
+        for (const line of lines) {
+            const fields = line.trim().split(/\s+/);
+            const localPort = parseInt(fields[1]?.split(':')[1], 16);
+            if (fields[3] === '0A' && localPort === Number(port) && fields[9] !== '0') inodes.add(fields[9]);
+        }
+    }
+    if (inodes.size === 0) return [];
+
+    const pids = [];
+    for (const entry of readdirSync('/proc').filter(name => /^\d+$/.test(name))) {
+        let fds;
+        try {
+            fds = readdirSync(`/proc/${entry}/fd`);
+        } catch {
+            continue;
+        }
+        const holds = fds.some((fd) => {
+            try {
+                return inodes.has(/^socket:\[(\d+)\]$/.exec(readlinkSync(`/proc/${entry}/fd/${fd}`))?.[1]);
+            } catch {
+                return false;
+            }
+        });
+        if (holds) pids.push(Number(entry));
+    }
+    return pids;
+}
+
+/**
+ * Find out what holds the configured proxy port before anything is started
+ * or stopped. Resolves to `{ port, free, proxy, health, processes }`: `proxy`
+ * is true only when the listener answers /health like antigravity-proxy
+ * (a JSON object with a `status`), and `processes` lists `{ pid, command }`
+ * for the listeners this user can see.
+ */
+export async function identifyPortOwner(options = {}) {
+    const values = getConfigValues(options);
+    const port = Number(values.port);
+    if (await isPortFree(port, values.host)) {
+        return { port, free: true, proxy: false, health: null, processes: [] };
+    }
+
+    let health = null;
+    try {
+        const response = await fetch(`${getProxyUrl(values)}/health`, { signal: AbortSignal.timeout(options.timeout ?? 2000) });
+        const body = response.ok ? await response.json() : null;
+        if (isPlainObject(body) && typeof body.status === 'string') health = body;
+    } catch { /* not HTTP, or not a proxy */ }
+
+    const processes = findListeningPids(port).map(pid => ({ pid, command: readProcessArgs(pid)?.join(' ') ?? null }));
+    return { port, free: false, proxy: health !== null, health, processes };
+}
+
+// --- Proxy Lifecycle ---
+
+/**
+ * Spawn the proxy and record it in the state file. With `daemon: true` it is
+ * fully detached and writes straight to the log file, so it outlives the
+ * caller; otherwise its output is piped through this process, timestamped
+ * into the log, and the caller is responsible for stopping it.
+ *
+ * `mock: { fixture }` runs the built-in mock proxy instead of antigravity-proxy
+ * (no proxy checkout needed; `fixture` is an optional fixture file path).
+ *
+ * Returns the ChildProcess. Throws ProxyDirError or NodeNotFoundError.
+ */
+export function spawnProxy(options = {}) {
+    const values = getConfigValues(options);
+    const daemon = !!options.daemon;
+    const mock = options.mock ?? null;
+    const entry = mock ? MOCK_PROXY_ENTRY : checkProxyDir(values.proxyDir);
+    const nodeBin = getNodeBin();
+    if (!nodeBin) throw new NodeNotFoundError('Node.js not found. Install Node.js 18+ first.');
+
+    const paths = getInstancePaths(values.instance);
+    prepareProxyLog(paths.logFile);
+    const logFd = daemon ? openSync(paths.logFile, 'a', 0o600) : null;
+
+    const env = { ...process.env, PORT: values.port, HOST: values.host };
+    if (paths.home) {
+        mkdirSync(paths.home, { recursive: true, mode: 0o700 });
+        env.HOME = paths.home;
+    }
+    if (mock?.fixture) env.VERTEXHUB_MOCK_FIXTURE = mock.fixture;
+    const args = values.strategy && values.strategy !== 'default' ? [`--strategy=${values.strategy}`] : [];
+    const proxyProcess = spawn(nodeBin, [entry, ...args], {
+        env,
+        cwd: mock ? dirname(entry) : values.proxyDir,
+        stdio: daemon ? ['ignore', logFd, logFd] : 'pipe',
+        detached: true,
+    });
+
+    if (logFd !== null) closeSync(logFd);
+    proxyProcess.unref();
+
+    if (proxyProcess.pid) {
+        appendProxyLogMarker(
+            `Proxy started (PID ${proxyProcess.pid}, port ${values.port}${daemon ? ', daemon' : ''}${mock ? ', mock' : ''})`,
+            paths.logFile,
+        );
+        saveProxyState({
+            pid: proxyProcess.pid,
+            instance: paths.name,
+            entry,
+            proxyDir: mock ? null : values.proxyDir,
+            mock: !!mock,
+            fixture: mock?.fixture ?? null,
+            host: values.host,
+            port: values.port,
+            daemon,
+            startedAt: new Date().toISOString(),
+        });
+    }
+
+    proxyProcess.on('exit', () => removeProxyState(proxyProcess.pid, paths.name));
+    // Spawn failures are reported to the caller's own 'error' listener; this
+    // one only keeps an unhandled 'error' event from crashing the host process.
+    proxyProcess.on('error', () => removeProxyState(proxyProcess.pid, paths.name));
+
+    if (daemon) return proxyProcess;
+
+    const writeLog = createProxyLogWriter(paths.logFile);
+    proxyProcess.stdout.on('data', (data) => writeLog('stdout', data));
+    proxyProcess.stderr.on('data', (data) => writeLog('stderr', data));
+    proxyProcess.on('exit', (code, signal) => {
+        writeLog.flush();
+        appendProxyLogMarker(`Proxy exited (${signal ? `signal ${signal}` : `code ${code}`})`, paths.logFile);
+    });
+
+    return proxyProcess;
+}
+
+/**
+ * Start the proxy in the background and wait until /health answers
+ * (`mock` as for spawnProxy).
+ * Resolves to `{ pid, url }`. Throws ProxyStartError if a proxy already
+ * answers on the configured port, the process cannot be spawned, or the new
+ * one is not healthy within `timeout` ms (it is stopped again in that case).
+ */
+export async function startProxy(options = {}) {
+    const values = getConfigValues(options);
+    const url = getProxyUrl(values);
+    const timeout = options.timeout ?? 15000;
+
+    if (await isProxyRunning({ config: values })) {
+        throw new ProxyStartError(`A proxy is already running at ${url}`, { code: 'PROXY_ALREADY_RUNNING', url });
+    }
+
+    const proxyProcess = spawnProxy({ config: values, daemon: true, mock: options.mock });
+    let exitCode = null;
+    let spawnError = null;
+    proxyProcess.on('exit', (code, signal) => { exitCode = signal || code; });
+    // A failed spawn (ENOENT, EACCES, no PID) emits 'error' and never 'exit'.
+    proxyProcess.on('error', (e) => { spawnError = e; });
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline && exitCode === null && !spawnError) {
+        await new Promise(r => setTimeout(r, 250));
+        if (spawnError) break;
+        if (await isProxyRunning({ config: values })) return { pid: proxyProcess.pid, url };
+    }
+
+    if (spawnError) {
+        throw new ProxyStartError(`Proxy could not be started: ${spawnError.message}`, {
+            url, logFile: getInstancePaths(values.instance).logFile, cause: spawnError,
+        });
+    }
+
+    if (exitCode === null && proxyProcess.pid) await terminateProxy({ pid: proxyProcess.pid, instance: values.instance });
+    throw new ProxyStartError(
+        exitCode === null
+            ? `Proxy did not become healthy within ${timeout / 1000}s`
+            : `Proxy exited during startup (${exitCode})`,
+        { url, logFile: getInstancePaths(values.instance).logFile },
+    );
+}
+
+/**
+ * Stop the proxy VertexHub started for the configured instance, if any.
+ * Resolves to `{ stopped: false }` or `{ stopped: true, pid, forced }`.
+ */
+export async function stopProxy(options = {}) {
+    const state = getTrackedProxy(getConfigValues(options).instance);
+    if (!state) return { stopped: false };
+    const { forced } = await terminateProxy(state);
+    return { stopped: true, pid: state.pid, forced };
+}
@@ -0,0 +1,204 @@
+/**
+ * VertexHub metering
+ * A local pass-through between Claude Code and the proxy that records the
+ * token `usage` of every /v1/messages response (plain JSON or streamed SSE)
+ * in a JSONL journal, so usage can be reported per session, model or day.
+ *
+ * Requests and responses are forwarded unchanged; metering only reads a copy
+ * of the response body and never delays or alters what Claude Code receives.
+ */
+
+import { createServer, request as httpRequest } from 'http';
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+
+/** Largest non-streamed response body that is buffered to read its usage. */
+const MAX_JSON_BODY = 10 * 1024 * 1024;
+
+const toCount = (value) => (Number.isFinite(value) && value >= 0 ? value : 0);
+
+/**
+ * Collect model and usage from a /v1/messages response body as it passes
+ * through. `write(chunk)` for every chunk, then `result()` returns
+ * `{ model, stream, inputTokens, outputTokens, cacheReadTokens,
+ * cacheCreationTokens }`, or null when the body carried no usage.
+ */
+function createUsageReader(contentType) {
+    const stream = String(contentType || '').includes('text/event-stream');
+    let model = null;
+    let usage = null;
+    let pending = '';
+    let size = 0;
+    const chunks = [];
+
+    const addUsage = (value) => {
+        if (value && typeof value === 'object') usage = { ...usage, ...value };
+    };
+
+    // SSE: message_start carries the model and input usage; each message_delta
+    // carries the (cumulative) output usage so far.
+    const readEvent = (line) => {
+        if (!line.startsWith('data:')) return;
+        let event;
+        try {
+            event = JSON.parse(line.slice(5));
+        } catch {
+            return;
+        }
+        if (event?.type === 'message_start') {
+            model = event.message?.model ?? model;
+            addUsage(event.message?.usage);
+        } else if (event?.type === 'message_delta') {
+            addUsage(event.usage);
+        }
+    };
+
+    return {
+        write(chunk) {
+            if (stream) {
+                const lines = (pending + chunk.toString('utf-8')).split('\n');
+                pending = lines.pop();
+                lines.forEach(readEvent);
+                return;
+            }
+            size += chunk.length;
+            if (size <= MAX_JSON_BODY) chunks.push(chunk);
+        },
+        result() {
+            if (stream) {
+                readEvent(pending);
+            } else if (size <= MAX_JSON_BODY) {
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+                    model = body?.model ?? null;
+                    addUsage(body?.usage);
+                } catch { /* not JSON: nothing to record */ }
+            }
+            if (!usage) return null;
+            return {
+                model,
+                stream,
+                inputTokens: toCount(usage.input_tokens),
+                outputTokens: toCount(usage.output_tokens),
+                cacheReadTokens: toCount(usage.cache_read_input_tokens),
+                cacheCreationTokens: toCount(usage.cache_creation_input_tokens),
+            };
+        },
+    };
+}
+
+/**
+ * Create (but do not start) the metering pass-through. Every request is
+ * forwarded to `target` (the proxy URL); for each POST /v1/messages response
+ * that reports usage, `onUsage(record)` is called with the fields of
+ * createUsageReader() plus `status` and `durationMs`.
+ */
+export function createMeteringProxy({ target, onUsage }) {
+    const upstream = new URL(target);
+
+    return createServer((req, res) => {
+        const started = Date.now();
+        const metered = req.method === 'POST' && req.url.split('?')[0] === '/v1/messages';
+
+        // Ask for an uncompressed body so the usage can be read from it
+        const headers = { ...req.headers, host: upstream.host };
+        delete headers['accept-encoding'];
+
+        const upstreamReq = httpRequest({
+            hostname: upstream.hostname,
+            port: upstream.port,
+            method: req.method,
+            path: req.url,
+            headers,
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            const reader = metered && upstreamRes.statusCode < 400 ? createUsageReader(upstreamRes.headers['content-type']) : null;
+            if (reader) upstreamRes.on('data', chunk => reader.write(chunk));
+            upstreamRes.on('end', () => {
+                const usage = reader?.result();
+                if (usage) onUsage?.({ ...usage, status: upstreamRes.statusCode, durationMs: Date.now() - started });
+            });
+            upstreamRes.pipe(res);
+        });
+
+        upstreamReq.on('error', (e) => {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(502, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: `VertexHub metering: proxy unreachable (${e.message})` } }));
+        });
+        res.on('close', () => {
+            if (!res.writableFinished) upstreamReq.destroy();
+        });
+
+        req.pipe(upstreamReq);
+    });
+}
+
+/**
+ * Append one usage record to the journal (JSON Lines, owner-only).
+ */
+export function appendUsageRecord(file, record) {
+    mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+    appendFileSync(file, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Read the journal, oldest first. Records older than `since` (epoch ms) and
+ * unparseable lines are skipped.
+ */
+export function readUsageRecords(file, { since = null } = {}) {
+    if (!existsSync(file)) return [];
+    const records = [];
+    for (const line of readFileSync(file, 'utf-8').split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        const time = Date.parse(record?.time);
+        if (Number.isNaN(time) || (since !== null && time < since)) continue;
+        records.push(record);
+    }
+    return records;
+}
+
+export const USAGE_GROUPS = ['model', 'session', 'day'];
+
+/**
+ * Total usage records per `by` (one of USAGE_GROUPS). Returns
+ * `{ rows, totals }`; rows are `{ key, requests, inputTokens, outputTokens,
+ * cacheReadTokens, cacheCreationTokens }`, largest total first.
+ */
+export function summarizeUsage(records, by = 'model') {
+    if (!USAGE_GROUPS.includes(by)) throw new TypeError(`Unknown usage grouping: ${by}`);
+    const empty = (key) => ({ key, requests: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 });
+    const add = (row, record) => {
+        row.requests++;
+        row.inputTokens += toCount(record.inputTokens);
+        row.outputTokens += toCount(record.outputTokens);
+        row.cacheReadTokens += toCount(record.cacheReadTokens);
+        row.cacheCreationTokens += toCount(record.cacheCreationTokens);
+    };
+
+    const groups = new Map();
+    const totals = empty('total');
+    for (const record of records) {
+        const key = by === 'day' ? String(record.time).slice(0, 10) : String(record[by] ?? 'unknown');
+        if (!groups.has(key)) groups.set(key, empty(key));
+        add(groups.get(key), record);
+        add(totals, record);
+    }
+
+    const rows = [...groups.values()];
+    if (by === 'day') {
+        rows.sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+        rows.sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens));
+    }
+    return { rows, totals };
+}
@@ -0,0 +1,230 @@
+/**
+ * VertexHub mock proxy
+ * A stand-in for antigravity-proxy that needs no network or Google accounts.
+ * It serves /health, /account-limits, /v1/models and a canned /v1/messages
+ * (JSON or SSE streaming) from a fixture, so the whole start → Claude Code
+ * flow can be demoed, developed and tested offline.
+ *
+ * Run directly (as `vertexhub start --mock` does) it behaves like the real
+ * proxy entry point: it listens on $PORT/$HOST, reads the fixture named by
+ * $VERTEXHUB_MOCK_FIXTURE and accepts --strategy=<name>.
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { FixtureError, isPlainObject } from './util.js';
+
+export const MOCK_PROXY_ENTRY = fileURLToPath(import.meta.url);
+
+const FIXTURE_KEYS = ['health', 'accountLimits', 'models', 'messages'];
+
+/**
+ * The fixture used when none is given. Every top-level key can be replaced
+ * by a fixture file; see loadMockFixture().
+ */
+export function getDefaultMockFixture() {
+    const resetTime = new Date(Date.now() + 5 * 3600 * 1000).toISOString();
+    const quota = (fraction) => ({ remaining: `${Math.round(fraction * 100)}%`, remainingFraction: fraction, resetTime });
+    return {
+        health: { status: 'ok', version: 'mock', strategy: 'sticky' },
+        accountLimits: {
+            accounts: [
+                {
+                    email: 'mock-account@example.com',
+                    status: 'ok',
+                    limits: {
+                        'claude-opus-4-6-thinking': quota(0.8),
+                        'claude-sonnet-4-5-thinking': quota(0.95),
+                        'claude-sonnet-4-5': quota(1),
+                    },
+                },
+            ],
+        },
+        models: {
+            object: 'list',
+            data: ['claude-opus-4-6-thinking', 'claude-sonnet-4-5-thinking', 'claude-sonnet-4-5']
+                .map(id => ({ id, object: 'model', owned_by: 'anthropic' })),
+        },
+        messages: {
+            text: 'This is a canned response from the VertexHub mock proxy.',
+            chunkSize: 8,
+            delayMs: 20,
+        },
+    };
+}
+
+/**
+ * Read a fixture file and merge it over the defaults (top-level keys are
+ * replaced, not deep-merged). Throws FixtureError when the file is unreadable
+ * or has unknown keys or wrong types.
+ */
+export function loadMockFixture(file) {
+    const fixture = getDefaultMockFixture();
+    if (!file) return fixture;
+
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new FixtureError(`Cannot read fixture ${file}: ${e.message}`, { file, cause: e });
+    }
+    if (!isPlainObject(data)) throw new FixtureError(`Fixture ${file} must be a JSON object`, { file });
+
+    for (const [key, value] of Object.entries(data)) {
+        if (!FIXTURE_KEYS.includes(key)) {
+            throw new FixtureError(`Fixture ${file}: unknown key "${key}" (expected ${FIXTURE_KEYS.join(', ')})`, { file });
+        }
+        if (key === 'messages') {
+            if (!isPlainObject(value) || (value.text !== undefined && typeof value.text !== 'string')) {
+                throw new FixtureError(`Fixture ${file}: messages must be an object with a string "text"`, { file });
+            }
+            fixture.messages = { ...fixture.messages, ...value };
+        } else {
+            fixture[key] = value;
+        }
+    }
+    return fixture;
+}
+
+const estimateTokens = (text) => Math.max(1, Math.ceil(text.length / 4));
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, type, message) {
+    sendJson(res, status, { type: 'error', error: { type, message } });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > 10 * 1024 * 1024) {
+                reject(new Error('request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer POST /v1/messages with the fixture text, in the Anthropic Messages
+ * API format. `stream: true` gets the same server-sent event sequence the
+ * real API sends, one text_delta per `chunkSize` characters.
+ */
+async function handleMessages(req, res, fixture) {
+    let request;
+    try {
+        request = JSON.parse(await readBody(req));
+    } catch (e) {
+        sendError(res, 400, 'invalid_request_error', `Invalid JSON body: ${e.message}`);
+        return;
+    }
+    if (!isPlainObject(request) || !Array.isArray(request.messages)) {
+        sendError(res, 400, 'invalid_request_error', 'messages: field required');
+        return;
+    }
+
+    const { text, chunkSize = 8, delayMs = 0 } = fixture.messages;
+    const inputTokens = estimateTokens(JSON.stringify(request.messages));
+    const message = {
+        id: `msg_mock_${randomBytes(8).toString('hex')}`,
+        type: 'message',
+        role: 'assistant',
+        model: typeof request.model === 'string' ? request.model : 'mock',
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 0 },
+    };
+
+    if (!request.stream) {
+        sendJson(res, 200, {
+            ...message,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: inputTokens, output_tokens: estimateTokens(text) },
+        });
+        return;
+    }
+
+    res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    const pause = () => (delayMs > 0 ? new Promise(r => setTimeout(r, delayMs)) : null);
+
+    send('message_start', { message: { ...message, usage: { input_tokens: inputTokens, output_tokens: 1 } } });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    send('ping', {});
+    const size = Math.max(1, Number(chunkSize) || 8);
+    for (let i = 0; i < text.length; i += size) {
+        await pause();
+        if (res.destroyed) return;
+        send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: text.slice(i, i + size) } });
+    }
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: estimateTokens(text) } });
+    send('message_stop', {});
+    res.end();
+}
+
+/**
+ * Create (but do not start) the mock proxy HTTP server. Call
+ * `server.listen(port, host)` to serve `fixture` (see loadMockFixture).
+ * `onRequest(method, url)` is called for every request, e.g. for logging.
+ */
+export function createMockProxy(fixture = getDefaultMockFixture(), { onRequest } = {}) {
+    return createServer((req, res) => {
+        const path = req.url.split('?')[0];
+        onRequest?.(req.method, req.url);
+
+        if (req.method === 'GET' && path === '/health') return sendJson(res, 200, fixture.health);
+        if (req.method === 'GET' && path === '/account-limits') return sendJson(res, 200, fixture.accountLimits);
+        if (req.method === 'GET' && path === '/v1/models') return sendJson(res, 200, fixture.models);
+        if (req.method === 'POST' && path === '/v1/messages/count_tokens') {
+            return readBody(req)
+                .then(body => sendJson(res, 200, { input_tokens: estimateTokens(body) }))
+                .catch(e => sendError(res, 400, 'invalid_request_error', e.message));
+        }
+        if (req.method === 'POST' && path === '/v1/messages') {
+            return handleMessages(req, res, fixture).catch((e) => {
+                if (!res.headersSent) sendError(res, 500, 'api_error', e.message);
+                else res.end();
+            });
+        }
+        sendError(res, 404, 'not_found_error', `${req.method} ${path} is not served by the mock proxy`);
+    });
+}
+
+// Entry point when spawned like the real proxy (PORT/HOST from the environment)
+if (process.argv[1] === MOCK_PROXY_ENTRY) {
+    let fixture;
+    try {
+        fixture = loadMockFixture(process.env.VERTEXHUB_MOCK_FIXTURE);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    // --strategy=<name>, as antigravity-proxy takes it, is reported by /health
+    const strategy = process.argv.slice(2).find(arg => arg.startsWith('--strategy='))?.slice('--strategy='.length);
+    if (strategy) fixture.health = { ...fixture.health, strategy };
+
+    const host = process.env.HOST || '127.0.0.1';
+    const port = Number(process.env.PORT) || 8080;
+    const server = createMockProxy(fixture, { onRequest: (method, url) => console.log(`${method} ${url}`) });
+    server.on('error', (e) => {
+        console.error(`Mock proxy error: ${e.code === 'EADDRINUSE' ? `EADDRINUSE ${host}:${port}` : e.message}`);
+        process.exit(1);
+    });
+    server.listen(port, host, () => console.log(`Server started successfully (VertexHub mock proxy on http://${host}:${port})`));
+}
@@ -0,0 +1,111 @@
+/**
+ * VertexHub shared helpers
+ * The error classes and small helpers every library module uses. This module
+ * imports nothing from the others, so any of them can depend on it without
+ * an import cycle; index.js re-exports all of it.
+ */
+
+// --- Errors ---
+
+/**
+ * Base class for every error this library throws. `code` is stable and
+ * matches the codes used in the CLI's --json error documents.
+ */
+export class VertexHubError extends Error {
+    constructor(message, { code = 'VERTEXHUB_ERROR', cause, ...details } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/** The proxy did not answer at `url`. */
+export class ProxyNotRunningError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROXY_NOT_RUNNING', ...details });
+    }
+}
+
+/** The proxy answered with an HTTP error (`status`) or an unreadable body. */
+export class ProxyRequestError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROXY_REQUEST_FAILED', ...details });
+    }
+}
+
+/** The proxy process could not be started or never became healthy. */
+export class ProxyStartError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROXY_START_FAILED', ...details });
+    }
+}
+
+/** The antigravity-proxy checkout (`path`) is missing or incomplete. */
+export class ProxyDirError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROXY_DIR_INVALID', ...details });
+    }
+}
+
+/** No usable Node.js binary was found to run the proxy with. */
+export class NodeNotFoundError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'NODE_NOT_FOUND', ...details });
+    }
+}
+
+/** A Claude Code settings file or the settings backup (`file`) cannot be used. */
+export class ClaudeSettingsError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'CLAUDE_SETTINGS_INVALID', ...details });
+    }
+}
+
+/** A mock proxy fixture (`file`) is unreadable or malformed. */
+export class FixtureError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'FIXTURE_INVALID', ...details });
+    }
+}
+
+/** A pasted OAuth redirect URL is malformed, or could not be delivered. */
+export class OAuthCallbackError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'OAUTH_CALLBACK_INVALID', ...details });
+    }
+}
+
+/** A project's .vertexhub.json is unreadable or has invalid settings. */
+export class ProjectConfigError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROJECT_CONFIG_INVALID', ...details });
+    }
+}
+
+/** The antigravity-proxy account store (`file`) is unreadable or malformed. */
+export class AccountStoreError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'ACCOUNT_STORE_INVALID', ...details });
+    }
+}
+
+/** The proxy is running and the operation cannot be done while it is (`url`). */
+export class ProxyRunningError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PROXY_RUNNING', ...details });
+    }
+}
+
+/** No linked account has the given `email`. */
+export class AccountNotFoundError extends VertexHubError {
+    constructor(message, details = {}) {
+        super(message, { code: 'ACCOUNT_NOT_FOUND', ...details });
+    }
+}
+
+// --- Helpers ---
+
+export function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
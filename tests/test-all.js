@@ -3,12 +3,13 @@
  * Tests security, edge cases, error paths
  */
 
-import { execSync } from 'child_process';
-import { homedir } from 'os';
-import { join } from 'path';
-import { existsSync, readFileSync, statSync } from 'fs';
+import { execSync, spawn } from 'child_process';
+import { homedir, tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync, readFileSync, statSync, mkdtempSync, writeFileSync, chmodSync, mkdirSync, readdirSync, rmSync } from 'fs';
 
-const CLI = '/home/daniloluiz/vertexhub-cli/bin/vertexhub.js';
+const CLI = fileURLToPath(new URL('../bin/vertexhub.js', import.meta.url));
 let passed = 0;
 let failed = 0;
 
@@ -49,6 +50,43 @@ function runExitCode(args, env = {}) {
     }
 }
 
+/** A port nothing is listening on right now, picked by the OS */
+function freePort() {
+    return execSync(
+        `node -e "const s = require('net').createServer().listen(0, '127.0.0.1', () => { console.log(s.address().port); s.close(); })"`,
+        { encoding: 'utf-8', timeout: 15000 }
+    ).trim();
+}
+
+/**
+ * A throwaway HOME with its own VertexHub config/state dirs and port.
+ * proxySource becomes the proxy checkout's src/index.js (left missing when
+ * omitted) and claudeScript a `claude` stub put first on PATH.
+ * Pass port: 1 for commands that must find no proxy running.
+ */
+function makeSandbox({ proxySource, claudeScript, port = freePort() } = {}) {
+    const dir = mkdtempSync(join(tmpdir(), 'vertexhub-test-'));
+    const env = {
+        HOME: dir,
+        VERTEXHUB_PROXY_DIR: join(dir, 'proxy'),
+        VERTEXHUB_CONFIG_DIR: join(dir, 'config'),
+        VERTEXHUB_STATE_DIR: join(dir, 'state'),
+        VERTEXHUB_PORT: String(port),
+    };
+    if (proxySource !== undefined) {
+        mkdirSync(join(dir, 'proxy', 'src', 'cli'), { recursive: true });
+        writeFileSync(join(dir, 'proxy', 'src', 'index.js'), proxySource);
+        writeFileSync(join(dir, 'proxy', 'src', 'cli', 'accounts.js'), '');
+    }
+    if (claudeScript !== undefined) {
+        mkdirSync(join(dir, 'bin'));
+        writeFileSync(join(dir, 'bin', 'claude'), claudeScript);
+        chmodSync(join(dir, 'bin', 'claude'), 0o755);
+        env.PATH = `${join(dir, 'bin')}:${process.env.PATH}`;
+    }
+    return { dir, env };
+}
+
 // =========================================
 console.log('\n━━━ TEST 1: PORT SANITIZATION ━━━');
 // =========================================
@@ -212,22 +250,21 @@ test('Help shows first-time instructions', () => {
 console.log('\n━━━ TEST 6: PROXY DIR VALIDATION ━━━');
 // =========================================
 
-test('Proxy dir exists at expected path', () => {
-    if (!existsSync('/home/daniloluiz/antigravity-proxy')) {
-        throw new Error('proxy dir missing');
-    }
+// No real checkout is needed: a missing proxy dir must be reported, and the
+// mock proxy stands in for a running one
+const { env: PROXY_DIR_ENV } = makeSandbox({ port: 1 });
+
+test('A missing proxy dir is reported by status', () => {
+    const out = run('status', PROXY_DIR_ENV);
+    if (!out.includes('Proxy Dir:') || !out.includes('Missing')) throw new Error(`unexpected: ${out}`);
 });
 
-test('Proxy entry point exists', () => {
-    if (!existsSync('/home/daniloluiz/antigravity-proxy/src/index.js')) {
-        throw new Error('index.js missing');
-    }
+test('start without a proxy checkout exits 1 with a hint', () => {
+    if (runExitCode('start --daemon', PROXY_DIR_ENV) !== 1) throw new Error('expected exit 1');
 });
 
-test('Accounts script exists', () => {
-    if (!existsSync('/home/daniloluiz/antigravity-proxy/src/cli/accounts.js')) {
-        throw new Error('accounts.js missing');
-    }
+test('The mock proxy entry point ships with the CLI', () => {
+    if (!existsSync(join(CLI, '..', '..', 'lib', 'mock-proxy.js'))) throw new Error('mock-proxy.js missing');
 });
 
 // =========================================
@@ -256,16 +293,1029 @@ test('Pipe in command does not cause injection', () => {
 });
 
 // =========================================
-console.log('\n━━━ TEST 8: MODELS COMMAND (requires proxy) ━━━');
+console.log('\n━━━ TEST 8: MODELS COMMAND (mock proxy) ━━━');
+// =========================================
+
+const { env: MOCK_MODELS_ENV } = makeSandbox();
+
+test('Models command lists models from a running proxy', () => {
+    try {
+        const started = run('start --mock --daemon', MOCK_MODELS_ENV);
+        if (!started.includes('Proxy started at')) throw new Error(`mock did not start: ${started.slice(-300)}`);
+        const out = run('models', MOCK_MODELS_ENV);
+        if (!out.includes('Available Models') || !out.includes('claude-sonnet-4-5')) throw new Error(`unexpected: ${out}`);
+    } finally {
+        run('stop', MOCK_MODELS_ENV);
+    }
+});
+
+test('Models command reports a stopped proxy', () => {
+    const out = run('models', MOCK_MODELS_ENV);
+    if (!out.includes('Not running') && !out.includes('not running')) throw new Error(`unexpected: ${out}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 9: CONFIG FILE ━━━');
+// =========================================
+
+const CONFIG_DIR = mkdtempSync(join(tmpdir(), 'vertexhub-config-'));
+const CONFIG_ENV = { VERTEXHUB_CONFIG_DIR: CONFIG_DIR };
+
+test('Config list shows defaults without a config file', () => {
+    const out = run('config list', CONFIG_ENV);
+    if (!out.includes('8090') || !out.includes('(default)')) throw new Error('defaults not listed');
+});
+
+test('Config set writes file with 0o600 permissions', () => {
+    const code = runExitCode('config set port 9123', CONFIG_ENV);
+    if (code !== 0) throw new Error(`expected exit 0, got ${code}`);
+    const file = join(CONFIG_DIR, 'config.json');
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    if (data.port !== '9123') throw new Error('port not saved');
+    const mode = (statSync(file).mode & 0o777).toString(8);
+    if (mode !== '600') throw new Error(`permissions are ${mode}, expected 600`);
+});
+
+test('Config file port is used by other commands', () => {
+    const out = run('config get port', CONFIG_ENV);
+    if (out !== '9123') throw new Error(`got ${out}`);
+});
+
+test('VERTEXHUB_PORT takes precedence over config file', () => {
+    const out = run('config get port', { ...CONFIG_ENV, VERTEXHUB_PORT: '9200' });
+    if (out !== '9200') throw new Error(`got ${out}`);
+});
+
+test('Config set rejects invalid values', () => {
+    const code = runExitCode('config set port 99999', CONFIG_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+});
+
+test('Config set rejects unknown keys', () => {
+    const code = runExitCode('config set __proto__.polluted 1', CONFIG_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+});
+
+test('Config validate reports unknown keys and bad values', () => {
+    writeFileSync(join(CONFIG_DIR, 'config.json'), JSON.stringify({ port: 'abc', extra: true }));
+    const out = run('config validate', CONFIG_ENV);
+    if (!out.includes('port: invalid value') || !out.includes('extra: unknown key')) {
+        throw new Error('problems not reported');
+    }
+});
+
+test('Corrupt config file is not overwritten by config set', () => {
+    writeFileSync(join(CONFIG_DIR, 'config.json'), '{ not json');
+    const code = runExitCode('config set port 9000', CONFIG_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+    if (readFileSync(join(CONFIG_DIR, 'config.json'), 'utf-8') !== '{ not json') {
+        throw new Error('corrupt file was overwritten');
+    }
+});
+
+// =========================================
+console.log('\n━━━ TEST 10: DAEMON STATE ━━━');
+// =========================================
+
+const STATE_DIR = mkdtempSync(join(tmpdir(), 'vertexhub-state-'));
+const STATE_FILE = join(STATE_DIR, 'proxy.json');
+const STATE_ENV = { VERTEXHUB_STATE_DIR: STATE_DIR, VERTEXHUB_PORT: '1' };
+
+test('Stop with nothing running exits 0', () => {
+    const code = runExitCode('stop', STATE_ENV);
+    if (code !== 0) throw new Error(`expected exit 0, got ${code}`);
+});
+
+test('Stop cleans up state for a dead PID', () => {
+    writeFileSync(STATE_FILE, JSON.stringify({ pid: 999999, entry: '/nonexistent/src/index.js' }));
+    const out = run('stop', STATE_ENV);
+    if (!out.includes('stale')) throw new Error('stale state not reported');
+    if (existsSync(STATE_FILE)) throw new Error('state file not removed');
+});
+
+test('Stop never signals a live PID that is not the proxy', () => {
+    writeFileSync(STATE_FILE, JSON.stringify({ pid: process.pid, entry: '/nonexistent/src/index.js' }));
+    run('stop', STATE_ENV);
+    // Reaching this line means the test runner itself was not killed
+    if (existsSync(STATE_FILE)) throw new Error('state file not removed');
+});
+
+test('Stop cleans up an unreadable state file', () => {
+    writeFileSync(STATE_FILE, 'garbage');
+    run('stop', STATE_ENV);
+    if (existsSync(STATE_FILE)) throw new Error('state file not removed');
+});
+
+test('Help lists stop, restart and --daemon', () => {
+    const out = run('help');
+    for (const word of ['stop', 'restart', '--daemon']) {
+        if (!out.includes(word)) throw new Error(`missing: ${word}`);
+    }
+});
+
+// =========================================
+console.log('\n━━━ TEST 11: MODEL PROFILES ━━━');
+// =========================================
+
+const MODELS_DIR = mkdtempSync(join(tmpdir(), 'vertexhub-models-'));
+const MODELS_ENV = { VERTEXHUB_CONFIG_DIR: MODELS_DIR, VERTEXHUB_PORT: '1' };
+
+test('Models use refuses to write unverified IDs when proxy is down', () => {
+    const out = run('models use claude-sonnet-4-5', MODELS_ENV);
+    if (!out.includes('Cannot verify')) throw new Error('no verification error');
+    if (existsSync(join(MODELS_DIR, 'config.json'))) throw new Error('config written');
+});
+
+test('Models use --no-verify writes the slot', () => {
+    run('models use claude-sonnet-4-5 --slot haiku --no-verify', MODELS_ENV);
+    const data = JSON.parse(readFileSync(join(MODELS_DIR, 'config.json'), 'utf-8'));
+    if (data.models?.haiku !== 'claude-sonnet-4-5') throw new Error('slot not saved');
+});
+
+test('Models use rejects unknown slots', () => {
+    const code = runExitCode('models use claude-sonnet-4-5 --slot turbo --no-verify', MODELS_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+});
+
+test('Built-in fast and deep profiles are listed', () => {
+    const out = run('models profiles', MODELS_ENV);
+    if (!out.includes('fast') || !out.includes('deep')) throw new Error('profiles missing');
+});
+
+test('Profile save and delete round-trip', () => {
+    run('models profile save mine', MODELS_ENV);
+    if (!run('models profiles', MODELS_ENV).includes('mine')) throw new Error('profile not saved');
+    run('models profile delete mine', MODELS_ENV);
+    if (run('models profiles', MODELS_ENV).includes('mine')) throw new Error('profile not deleted');
+});
+
+test('Start with unknown profile exits 1', () => {
+    const code = runExitCode('start --profile nonexistent', MODELS_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 12: JSON OUTPUT ━━━');
+// =========================================
+
+const JSON_ENV = {
+    VERTEXHUB_CONFIG_DIR: mkdtempSync(join(tmpdir(), 'vertexhub-json-')),
+    VERTEXHUB_STATE_DIR: mkdtempSync(join(tmpdir(), 'vertexhub-json-state-')),
+    VERTEXHUB_PORT: '1',
+};
+
+test('Status --json emits the documented schema', () => {
+    const data = JSON.parse(run('status --json', JSON_ENV));
+    if (data.schemaVersion !== 1) throw new Error('missing schemaVersion');
+    for (const key of ['proxy', 'accounts', 'proxyDir', 'config', 'claude', 'binaries']) {
+        if (!(key in data)) throw new Error(`missing ${key}`);
+    }
+    if (data.proxy.running !== false || data.proxy.port !== 1) throw new Error('wrong proxy state');
+});
+
+test('Status --json never includes the auth token', () => {
+    const out = run('status --json', { ...JSON_ENV, VERTEXHUB_AUTH_TOKEN: 'super-secret-token' });
+    if (out.includes('super-secret-token')) throw new Error('token leaked');
+});
+
+test('Models --json reports errors as JSON with exit 1', () => {
+    const data = JSON.parse(run('models --json', JSON_ENV));
+    if (data.error?.code !== 'PROXY_NOT_RUNNING') throw new Error('wrong error code');
+    if (runExitCode('models --json', JSON_ENV) !== 1) throw new Error('wrong exit code');
+});
+
+test('Accounts --json reports errors as JSON with exit 1', () => {
+    const data = JSON.parse(run('accounts remove someone@example.com --json', JSON_ENV));
+    if (data.error?.code !== 'INVALID_OPTION') throw new Error('wrong error code');
+    if (runExitCode('accounts remove someone@example.com --json', JSON_ENV) !== 1) throw new Error('wrong exit code');
+});
+
+// =========================================
+console.log('\n━━━ TEST 13: DOCTOR ━━━');
+// =========================================
+
+const { dir: DOCTOR_HOME, env: DOCTOR_ENV } = makeSandbox({ port: 1 });
+
+test('Doctor fails with a remedy when the proxy dir is missing', () => {
+    const out = run('doctor', DOCTOR_ENV);
+    if (!out.includes('Proxy dir') || !out.includes('config set proxyDir')) throw new Error('no remedy');
+    if (runExitCode('doctor', DOCTOR_ENV) !== 1) throw new Error('expected exit 1');
+});
+
+test('Doctor checks the Node.js version against engines', () => {
+    const out = run('doctor', DOCTOR_ENV);
+    if (!out.includes('satisfies >=18')) throw new Error('no node version check');
+});
+
+test('Doctor --fix tightens config file permissions', () => {
+    run('config set port 9100', DOCTOR_ENV);
+    const file = join(DOCTOR_HOME, 'config', 'config.json');
+    chmodSync(file, 0o644);
+    if (!run('doctor', DOCTOR_ENV).includes('expected 0600')) throw new Error('bad permissions not reported');
+    run('doctor --fix', DOCTOR_ENV);
+    const mode = (statSync(file).mode & 0o777).toString(8);
+    if (mode !== '600') throw new Error(`permissions are ${mode}, expected 600`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 14: SETTINGS BACKUP & RESTORE ━━━');
+// =========================================
+
+const { dir: RESTORE_HOME, env: RESTORE_ENV } = makeSandbox({ port: 1 });
+const RESTORE_SETTINGS = join(RESTORE_HOME, '.claude', 'settings.json');
+mkdirSync(join(RESTORE_HOME, '.claude'));
+writeFileSync(RESTORE_SETTINGS, JSON.stringify({ theme: 'dark', env: { ANTHROPIC_MODEL: 'original-model', KEEP_ME: '1' } }));
+writeFileSync(join(RESTORE_HOME, '.claude.json'), JSON.stringify({ numStartups: 3 }));
+
+test('Configuring settings shows a diff and creates a backup', () => {
+    // doctor --fix rewrites the VertexHub keys when ANTHROPIC_BASE_URL is wrong
+    const out = run('doctor --fix', RESTORE_ENV);
+    if (!out.includes('original-model →')) throw new Error('diff not shown');
+    if (!existsSync(join(RESTORE_HOME, 'state', 'claude-backup.json'))) throw new Error('no backup');
+    const settings = JSON.parse(readFileSync(RESTORE_SETTINGS, 'utf-8'));
+    if (settings.env.ANTHROPIC_BASE_URL !== 'http://127.0.0.1:1') throw new Error('settings not written');
+});
+
+test('Restore puts back only the keys VertexHub changed', () => {
+    run('restore', RESTORE_ENV);
+    const settings = JSON.parse(readFileSync(RESTORE_SETTINGS, 'utf-8'));
+    const expected = { theme: 'dark', env: { ANTHROPIC_MODEL: 'original-model', KEEP_ME: '1' } };
+    if (JSON.stringify(settings) !== JSON.stringify(expected)) throw new Error(JSON.stringify(settings));
+    const claudeJson = JSON.parse(readFileSync(join(RESTORE_HOME, '.claude.json'), 'utf-8'));
+    if ('hasCompletedOnboarding' in claudeJson || claudeJson.numStartups !== 3) throw new Error('.claude.json not restored');
+});
+
+test('Restore without a backup is a no-op', () => {
+    const code = runExitCode('restore', RESTORE_ENV);
+    if (code !== 0) throw new Error(`expected exit 0, got ${code}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 15: PROXY LOGS ━━━');
+// =========================================
+
+const LOGS_STATE = mkdtempSync(join(tmpdir(), 'vertexhub-logs-'));
+const LOGS_ENV = { VERTEXHUB_STATE_DIR: LOGS_STATE };
+
+test('Logs without a log file exits 0 with a hint', () => {
+    const out = run('logs', LOGS_ENV);
+    if (!out.includes('No proxy log yet')) throw new Error('no hint');
+});
+
+test('Logs --lines and --since filter output', () => {
+    mkdirSync(join(LOGS_STATE, 'logs'));
+    const old = new Date(Date.now() - 3 * 3600_000).toISOString();
+    const recent = new Date().toISOString();
+    writeFileSync(join(LOGS_STATE, 'logs', 'proxy.log'), [
+        `${old} [vertexhub] Proxy started (PID 1, port 8090, daemon)`,
+        'old untimestamped daemon line',
+        `${recent} [stdout] recent line one`,
+        `${recent} [stderr] recent line two`,
+        '',
+    ].join('\n'));
+
+    const last = run('logs --lines 1', LOGS_ENV);
+    if (last !== `${recent} [stderr] recent line two`) throw new Error(`got ${last}`);
+
+    const since = run('logs --since 1h', LOGS_ENV);
+    if (since.includes('old untimestamped') || !since.includes('recent line one')) throw new Error('since filter wrong');
+});
+
+test('Logs rejects invalid --lines and --since', () => {
+    if (runExitCode('logs --lines 0', LOGS_ENV) !== 1) throw new Error('--lines 0 accepted');
+    if (runExitCode('logs --since yesterday-ish', LOGS_ENV) !== 1) throw new Error('bad --since accepted');
+});
+
+// =========================================
+console.log('\n━━━ TEST 16: PROXY SUPERVISION ━━━');
+// =========================================
+
+const SUPERVISE = makeSandbox({
+    // A proxy that serves /health briefly, then crashes
+    proxySource: `
+require('http').createServer((req, res) => res.end('{}'))
+    .listen(process.env.PORT, process.env.HOST, () => setTimeout(() => process.exit(3), 1500));
+`,
+    claudeScript: '#!/bin/sh\nsleep 7\n',
+});
+const SUPERVISE_EVENTS = join(SUPERVISE.dir, 'events.jsonl');
+mkdirSync(join(SUPERVISE.dir, 'config'));
+writeFileSync(join(SUPERVISE.dir, 'config', 'config.json'), JSON.stringify({ hooks: { 'proxy-started': `cat >> ${SUPERVISE_EVENTS}` } }));
+
+test('Start restarts a crashing proxy and reports it in the summary', () => {
+    const out = run('start < /dev/null', SUPERVISE.env);
+    if (!out.includes('Session summary')) throw new Error('no session summary');
+    if (!/Proxy restarts: \S*[1-9]/.test(out)) throw new Error('restart not reported');
+});
+
+test('proxy-started fires again, marked as a restart, after a crash', () => {
+    const started = readFileSync(SUPERVISE_EVENTS, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    if (started.length < 2 || started[0].restart !== false || started.slice(1).some(e => e.restart !== true)) {
+        throw new Error(`unexpected: ${JSON.stringify(started)}`);
+    }
+    if (started[0].pid === started[1].pid) throw new Error('restart reported the crashed PID');
+});
+
+// =========================================
+console.log('\n━━━ TEST 17: CLAUDE PASS-THROUGH ━━━');
+// =========================================
+
+const { dir: PASS_DIR, env: PASS_ENV } = makeSandbox({
+    proxySource: `
+require('http').createServer((req, res) => res.end('{}')).listen(process.env.PORT, process.env.HOST);
+`,
+    claudeScript: '#!/bin/sh\necho "cwd=$(pwd)"\nfor a in "$@"; do echo "arg=[$a]"; done\n',
+});
+mkdirSync(join(PASS_DIR, 'project'));
+
+test('Arguments after -- reach claude unchanged, in --cwd', () => {
+    const out = run(`start --cwd ${join(PASS_DIR, 'project')} -- --resume abc --json < /dev/null`, PASS_ENV);
+    if (!out.includes(`cwd=${join(PASS_DIR, 'project')}`)) throw new Error('cwd not applied');
+    for (const arg of ['--resume', 'abc', '--json']) {
+        if (!out.includes(`arg=[${arg}]`)) throw new Error(`missing ${arg}`);
+    }
+});
+
+test('Start rejects a --cwd that does not exist', () => {
+    const code = runExitCode(`start --cwd ${join(PASS_DIR, 'missing')}`, PASS_ENV);
+    if (code !== 1) throw new Error(`expected exit 1, got ${code}`);
+});
+
+// A claude stub that shows its arguments and the --settings file it was given
+const { dir: SETTINGS_DIR, env: SETTINGS_ENV } = makeSandbox({
+    claudeScript: '#!/bin/sh\nfor a in "$@"; do echo "arg=[$a]"; done\n[ "$1" = --settings ] && stat -c "mode=%a" "$2" && cat "$2"\n',
+});
+SETTINGS_ENV.VERTEXHUB_AUTH_TOKEN = 'session-secret-token';
+mkdirSync(join(SETTINGS_DIR, 'project'));
+writeFileSync(join(SETTINGS_DIR, 'project', '.vertexhub.json'), JSON.stringify({ env: { PROJECT_FLAG: 'project-value' } }));
+
+/** Run start with the settings stub; returns its argv lines and the rest of the output */
+function startWithSettingsStub(args) {
+    const out = run(`start --mock ${args} < /dev/null`, SETTINGS_ENV);
+    const argv = out.split('\n').filter(line => line.startsWith('arg=['));
+    if (argv[0] !== 'arg=[--settings]') throw new Error(`no --settings file: ${out.slice(-300)}`);
+    if (argv.some(line => line.includes('session-secret-token'))) throw new Error('auth token on the command line');
+    if (!out.includes('mode=600') || !out.includes('"ANTHROPIC_AUTH_TOKEN": "session-secret-token"')) throw new Error('settings file not written');
+    if (readdirSync(join(SETTINGS_DIR, 'state')).some(name => name.startsWith('session-'))) throw new Error('settings file left behind');
+    return { argv, out };
+}
+
+test('Project session settings reach claude as an owner-only file, not on the command line', () => {
+    const { argv, out } = startWithSettingsStub(`--cwd ${join(SETTINGS_DIR, 'project')}`);
+    if (argv.some(line => line.includes('project-value')) || !out.includes('"PROJECT_FLAG": "project-value"')) throw new Error('project env not in the file');
+});
+
+// =========================================
+console.log('\n━━━ TEST 18: OPTION PARSING ━━━');
 // =========================================
 
-test('Models command works when proxy is running', () => {
-    const out = run('models');
-    if (out.includes('Not running')) {
-        console.log('    (skipped - proxy not running on default port)');
-    } else if (!out.includes('Available Models') && !out.includes('Could not fetch')) {
-        throw new Error('unexpected output');
+const OPTS_ENV = { VERTEXHUB_CONFIG_DIR: mkdtempSync(join(tmpdir(), 'vertexhub-opts-')), VERTEXHUB_PORT: '1' };
+
+test('Unknown flags are rejected with exit 1', () => {
+    const out = run('status --bogus', OPTS_ENV);
+    if (!out.includes('Unknown option: --bogus')) throw new Error('no error message');
+    if (runExitCode('status --bogus', OPTS_ENV) !== 1) throw new Error('expected exit 1');
+});
+
+test('Per-command help lists the command options', () => {
+    const out = run('start --help', OPTS_ENV);
+    for (const flag of ['--daemon', '--profile <name>', '--cwd <dir>', '--port <port>']) {
+        if (!out.includes(flag)) throw new Error(`missing ${flag}`);
     }
+    if (!run('help logs', OPTS_ENV).includes('--since <time>')) throw new Error('help <command> not supported');
+});
+
+test('--port overrides VERTEXHUB_PORT and is validated', () => {
+    if (run('--port 9191 config get port', OPTS_ENV) !== '9191') throw new Error('flag not applied');
+    if (runExitCode('--port 70000 status', OPTS_ENV) !== 1) throw new Error('invalid port accepted');
+});
+
+test('Option values accept the --opt=value form', () => {
+    if (run('config get port --port=9292', OPTS_ENV) !== '9292') throw new Error('--opt=value not parsed');
+});
+
+test('--no-color output has no escape codes', () => {
+    if (run('--no-color help', OPTS_ENV).includes('\x1b[')) throw new Error('escape codes present');
+});
+
+test('--quiet hides progress messages', () => {
+    const out = run('--quiet config set port 9393', OPTS_ENV);
+    if (out.includes('✓')) throw new Error(`unexpected output: ${out}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 19: USAGE ━━━');
+// =========================================
+
+test('usage --json reports PROXY_NOT_RUNNING when the proxy is down', () => {
+    const doc = JSON.parse(run('usage --json', OPTS_ENV));
+    if (doc.error?.code !== 'PROXY_NOT_RUNNING') throw new Error(`unexpected: ${JSON.stringify(doc)}`);
+});
+
+test('usage rejects --watch with --json and a bad --interval', () => {
+    if (!run('usage --watch --json', OPTS_ENV).includes('INVALID_OPTION')) throw new Error('--watch --json accepted');
+    if (runExitCode('usage --watch --interval 0', OPTS_ENV) !== 1) throw new Error('--interval 0 accepted');
+});
+
+// =========================================
+console.log('\n━━━ TEST 20: LIBRARY API ━━━');
+// =========================================
+
+const LIB = join(CLI, '..', '..', 'lib', 'index.js');
+const LIB_DIR = mkdtempSync(join(tmpdir(), 'vertexhub-lib-'));
+const LIB_ENV = { ...process.env, HOME: LIB_DIR, VERTEXHUB_STATE_DIR: join(LIB_DIR, 'state'), VERTEXHUB_CONFIG_DIR: join(LIB_DIR, 'config') };
+
+function runLib(code) {
+    const script = `import * as lib from ${JSON.stringify(LIB)};\n${code}`;
+    return execSync('node --input-type=module', { input: script, encoding: 'utf-8', timeout: 15000, env: LIB_ENV }).trim();
+}
+
+test('Importing the library prints nothing and installs no signal handlers', () => {
+    const out = runLib("console.log(process.listenerCount('SIGINT'), process.listenerCount('SIGTERM'));");
+    if (out !== '0 0') throw new Error(`unexpected: ${out}`);
+});
+
+test('Library paths follow the environment after import', () => {
+    const out = runLib(`
+const dir = ${JSON.stringify(join(LIB_DIR, 'later'))};
+process.env.VERTEXHUB_CONFIG_DIR = dir;
+process.env.VERTEXHUB_STATE_DIR = dir;
+process.env.HOME = dir;
+lib.saveConfigFile({ port: '9124' });
+const paths = lib.getPaths();
+console.log(paths.configFile === dir + '/config.json', lib.getInstancePaths().stateFile === dir + '/proxy.json', paths.claudeSettingsFile === dir + '/.claude/settings.json', lib.resolveConfig().values.port);`);
+    if (out !== 'true true true 9124') throw new Error(`unexpected: ${out}`);
+});
+
+test('Library throws typed errors instead of exiting', () => {
+    const out = runLib(`
+const config = lib.resolveConfig({ port: '1' }).values;
+try { await lib.getProxyStatus({ config }); } catch (e) { console.log(e instanceof lib.ProxyNotRunningError, e.code); }
+try { lib.spawnProxy({ config: { ...config, proxyDir: '/nonexistent' } }); } catch (e) { console.log(e instanceof lib.VertexHubError, e.code); }
+console.log(await lib.isProxyRunning({ config }));`);
+    if (out !== 'true PROXY_NOT_RUNNING\ntrue PROXY_DIR_NOT_FOUND\nfalse') throw new Error(`unexpected: ${out}`);
+});
+
+test('startProxy fails at once when the proxy process cannot be spawned', () => {
+    // A node on PATH whose interpreter does not exist: spawn emits only 'error'
+    const bin = join(LIB_DIR, 'broken-node');
+    mkdirSync(bin, { recursive: true });
+    writeFileSync(join(bin, 'node'), '#!/nonexistent/interpreter\n');
+    chmodSync(join(bin, 'node'), 0o755);
+    const out = runLib(`
+process.env.PATH = ${JSON.stringify(bin)} + ':' + process.env.PATH;
+const started = Date.now();
+try { await lib.startProxy({ config: lib.resolveConfig({ port: '1' }).values, mock: {} }); } catch (e) { console.log(e.code, e.cause?.code, Date.now() - started < 5000); }`);
+    if (out !== 'PROXY_START_FAILED ENOENT true') throw new Error(`unexpected: ${out}`);
+});
+
+test('configureClaudeSettings/restoreClaudeSettings return what they changed', () => {
+    const out = runLib(`
+const result = lib.configureClaudeSettings({ config: lib.resolveConfig({ port: '9123' }).values });
+console.log(result.settings.written, result.settings.after.ANTHROPIC_BASE_URL, !!result.backupFile);
+console.log(lib.restoreClaudeSettings().settings.action, lib.restoreClaudeSettings());`);
+    if (out !== 'true http://127.0.0.1:9123 true\nremoved null') throw new Error(`unexpected: ${out}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 21: MOCK PROXY ━━━');
+// =========================================
+
+const { dir: MOCK_DIR, env: MOCK_ENV } = makeSandbox();
+const MOCK_FIXTURE = join(MOCK_DIR, 'fixture.json');
+writeFileSync(MOCK_FIXTURE, JSON.stringify({
+    messages: { text: 'canned reply', chunkSize: 4, delayMs: 0 },
+    models: { data: ['claude-opus-4-6-thinking', 'claude-sonnet-4-5-thinking', 'claude-sonnet-4-5', 'fixture-model'].map(id => ({ id })) },
+}));
+
+test('start --mock --daemon runs without a proxy checkout', () => {
+    const out = run(`start --mock --daemon --fixture ${MOCK_FIXTURE}`, MOCK_ENV);
+    if (!out.includes('Proxy started at')) throw new Error(`mock did not start: ${out.slice(-300)}`);
+});
+
+test('status and models target the mock proxy', () => {
+    const status = JSON.parse(run('status --json', MOCK_ENV));
+    if (!status.proxy.running || status.proxy.mock !== true) throw new Error('mock not reported as running');
+    if (status.accounts?.[0]?.email !== 'mock-account@example.com') throw new Error('default accounts not served');
+    const models = JSON.parse(run('models --json', MOCK_ENV));
+    if (!models.models.some(m => m.id === 'fixture-model')) throw new Error('fixture models not served');
+});
+
+test('Mock /v1/messages streams the fixture text', () => {
+    const out = execSync('node --input-type=module', {
+        input: `const res = await fetch('http://127.0.0.1:${MOCK_ENV.VERTEXHUB_PORT}/v1/messages', { method: 'POST', body: JSON.stringify({ stream: true, messages: [] }) });
+const text = await res.text();
+console.log(text.split('\\n').filter(l => l.startsWith('data:')).map(l => JSON.parse(l.slice(5))).filter(e => e.type === 'content_block_delta').map(e => e.delta.text).join(''));`,
+        encoding: 'utf-8',
+        timeout: 15000,
+    }).trim();
+    if (out !== 'canned reply') throw new Error(`unexpected: ${out}`);
+});
+
+test('Stopping the mock proxy and rejecting a bad fixture', () => {
+    run('stop', MOCK_ENV);
+    if (JSON.parse(run('status --json', MOCK_ENV)).proxy.running) throw new Error('mock still running');
+    writeFileSync(join(MOCK_DIR, 'bad.json'), '{"unknownKey": 1}');
+    if (runExitCode(`mock-proxy --fixture ${join(MOCK_DIR, 'bad.json')}`, MOCK_ENV) !== 1) throw new Error('bad fixture accepted');
+});
+
+// =========================================
+console.log('\n━━━ TEST 22: OAUTH HANDOFF ━━━');
+// =========================================
+
+test('login --callback-url rejects malformed redirect URLs', () => {
+    for (const url of ['not-a-url', 'https://example.com/cb?code=abcd', 'http://localhost/cb?code=abcd', 'http://localhost:51121/cb?state=abcd']) {
+        if (runExitCode(`login --callback-url "${url}"`, OPTS_ENV) !== 1) throw new Error(`accepted: ${url}`);
+    }
+});
+
+test('A pasted redirect is forwarded to the local OAuth listener', () => {
+    const out = runLib(`
+const { createServer } = await import('http');
+const server = createServer((req, res) => { console.log(req.url); res.end('ok'); });
+await new Promise(r => server.listen(0, '127.0.0.1', r));
+const callback = lib.parseOAuthCallbackUrl(\`http://localhost:\${server.address().port}/oauth-callback?code=4/0Ab-c_d&state=st4te\`);
+console.log((await lib.forwardOAuthCallback(callback)).status);
+server.close();
+try { lib.parseOAuthCallbackUrl('http://localhost:1/cb?error=access_denied'); } catch (e) { console.log(e.code); }`);
+    if (out !== '/oauth-callback?code=4%2F0Ab-c_d&state=st4te\n200\nOAUTH_CALLBACK_INVALID') throw new Error(`unexpected: ${out}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 23: SETUP ━━━');
+// =========================================
+
+const { dir: SETUP_DIR, env: SETUP_ENV } = makeSandbox();
+// setup has to discover and record the checkout itself
+delete SETUP_ENV.VERTEXHUB_PROXY_DIR;
+
+function makeProxyCheckout(dir, version) {
+    mkdirSync(join(dir, 'src', 'cli'), { recursive: true });
+    writeFileSync(join(dir, 'src', 'index.js'), '');
+    writeFileSync(join(dir, 'src', 'cli', 'accounts.js'), '');
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ name: 'antigravity-claude-proxy', version }));
+}
+
+test('setup refuses an unsupported proxy version unless --force', () => {
+    makeProxyCheckout(join(SETUP_DIR, 'old'), '1.0.0');
+    if (runExitCode(`setup ${join(SETUP_DIR, 'old')}`, SETUP_ENV) !== 1) throw new Error('unsupported version accepted');
+    if (runExitCode(`setup ${join(SETUP_DIR, 'old')} --force`, SETUP_ENV) !== 0) throw new Error('--force refused');
+});
+
+test('setup records a supported checkout and finds it again', () => {
+    makeProxyCheckout(join(SETUP_DIR, 'antigravity-proxy'), '2.1.0');
+    if (runExitCode(`setup ${join(SETUP_DIR, 'antigravity-proxy')}`, SETUP_ENV) !== 0) throw new Error('setup failed');
+    if (run('config get proxyDir', SETUP_ENV) !== join(SETUP_DIR, 'antigravity-proxy')) throw new Error('proxyDir not recorded');
+    run('config unset proxyDir', SETUP_ENV);
+    if (!run('setup', SETUP_ENV).includes(`Using ${join(SETUP_DIR, 'antigravity-proxy')}`)) throw new Error('home checkout not discovered');
+});
+
+test('setup unpacks a release tarball into the state dir', () => {
+    makeProxyCheckout(join(SETUP_DIR, 'release', 'package'), '2.2.0');
+    execSync(`tar -czf ${join(SETUP_DIR, 'release.tgz')} -C ${join(SETUP_DIR, 'release')} package`);
+    if (runExitCode(`setup ${join(SETUP_DIR, 'release.tgz')}`, SETUP_ENV) !== 0) throw new Error('tarball setup failed');
+    const status = JSON.parse(run('status --json', SETUP_ENV));
+    if (status.proxyDir.path !== join(SETUP_DIR, 'state', 'antigravity-proxy') || status.proxyDir.version !== '2.2.0') {
+        throw new Error(`unexpected proxyDir: ${JSON.stringify(status.proxyDir)}`);
+    }
+});
+
+// =========================================
+console.log('\n━━━ TEST 24: INSTANCES ━━━');
+// =========================================
+
+const { dir: INST_DIR, env: INST_ENV } = makeSandbox();
+const WORK_PORT = freePort();
+
+test('Commands reject an instance that was never started', () => {
+    if (runExitCode('status --instance nope', INST_ENV) !== 1) throw new Error('unknown instance accepted');
+    if (runExitCode('status --instance ../x', INST_ENV) !== 1) throw new Error('invalid name accepted');
+});
+
+test('Only commands that start a proxy create an instance', () => {
+    for (const args of ['--version --instance work', 'help --instance work', 'start --help --instance work', 'completion bash --instance work']) {
+        run(args, INST_ENV);
+        if (existsSync(join(INST_DIR, 'config', 'config.json'))) throw new Error(`${args} wrote the config file`);
+    }
+});
+
+test('Named instances run side by side on their own ports', () => {
+    run('start --mock --daemon', INST_ENV);
+    run(`start --mock --daemon --instance work --port ${WORK_PORT}`, INST_ENV);
+    const { instances } = JSON.parse(run('ps --json', INST_ENV));
+    const ports = instances.map(i => `${i.name}:${i.port}:${i.healthy}`).join(',');
+    if (ports !== `default:${INST_ENV.VERTEXHUB_PORT}:true,work:${WORK_PORT}:true`) throw new Error(`unexpected instances: ${ports}`);
+    if (!existsSync(join(INST_DIR, 'state', 'instances', 'work', 'proxy.json'))) throw new Error('no per-instance state file');
+});
+
+test('stop --instance only stops that instance', () => {
+    run('stop --instance work', INST_ENV);
+    const { instances } = JSON.parse(run('ps --json --all', INST_ENV));
+    const running = instances.map(i => `${i.name}:${i.running}`).join(',');
+    run('stop', INST_ENV);
+    if (running !== 'default:true,work:false') throw new Error(`unexpected instances: ${running}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 25: TOKEN METERING ━━━');
+// =========================================
+
+test('The metering layer records usage from JSON and streamed responses', () => {
+    const out = runLib(`
+const mock = lib.createMockProxy();
+await new Promise(r => mock.listen(0, '127.0.0.1', r));
+const records = [];
+const meter = lib.createMeteringProxy({ target: \`http://127.0.0.1:\${mock.address().port}\`, onUsage: u => records.push(u) });
+await new Promise(r => meter.listen(0, '127.0.0.1', r));
+for (const stream of [true, false]) {
+    const res = await fetch(\`http://127.0.0.1:\${meter.address().port}/v1/messages\`, { method: 'POST', body: JSON.stringify({ model: 'm1', stream, messages: [] }) });
+    await res.text();
+}
+await new Promise(r => setTimeout(r, 50));
+meter.close(); mock.close();
+console.log(records.map(r => \`\${r.model}:\${r.stream}:\${r.outputTokens > 0}\`).join(','));
+const { rows, totals } = lib.summarizeUsage(records.map(r => ({ ...r, time: new Date().toISOString() })), 'model');
+console.log(rows.length, totals.requests);`);
+    if (out !== 'm1:true:true,m1:false:true\n1 2') throw new Error(`unexpected: ${out}`);
+});
+
+test('usage --since/--by validates its options and reads the journal', () => {
+    if (runExitCode('usage --by account', OPTS_ENV) !== 1) throw new Error('bad --by accepted');
+    if (runExitCode('usage --since yesterday', OPTS_ENV) !== 1) throw new Error('bad --since accepted');
+    const doc = JSON.parse(run('usage --since 7d --json', OPTS_ENV));
+    if (doc.by !== 'model' || !Array.isArray(doc.rows)) throw new Error(`unexpected: ${JSON.stringify(doc)}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 26: MODEL PING ━━━');
+// =========================================
+
+test('pingModel measures a streamed reply and reports HTTP errors', () => {
+    const out = runLib(`
+const mock = lib.createMockProxy();
+await new Promise(r => mock.listen(0, '127.0.0.1', r));
+const config = { ...lib.resolveConfig().values, host: '127.0.0.1', port: mock.address().port };
+const good = await lib.pingModel('m1', { config });
+const bad = await lib.pingModel('m1', { config: { ...config, host: '127.0.0.1', port: 1 }, timeout: 2000 });
+mock.close();
+console.log(good.ok, good.status, good.ttftMs <= good.latencyMs, good.outputTokens > 0, bad.ok, !!bad.error);
+const s = lib.summarizePings([10, 20, 30, 40].map(n => ({ ok: true, ttftMs: n, latencyMs: n, tokensPerSecond: null })).concat([{ ok: false }]));
+console.log(s.count, s.failed, s.ttftMs.p50, s.ttftMs.p99, s.tokensPerSecond.p50);`);
+    if (out !== 'true 200 true true false true\n5 1 20 40 null') throw new Error(`unexpected: ${out}`);
+});
+
+test('ping validates its arguments', () => {
+    if (runExitCode('ping a b', OPTS_ENV) !== 1) throw new Error('extra argument accepted');
+    if (runExitCode('ping --all m1', OPTS_ENV) !== 1) throw new Error('model with --all accepted');
+    if (runExitCode('ping m1 --repeat 0', OPTS_ENV) !== 1) throw new Error('--repeat 0 accepted');
+});
+
+// =========================================
+console.log('\n━━━ TEST 27: SHELL COMPLETION ━━━');
+// =========================================
+
+test('completion bash is valid and completes commands and accounts subcommands', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'vertexhub-completion-')), 'vertexhub.bash');
+    writeFileSync(file, run('completion bash', OPTS_ENV));
+    execSync(`bash -n ${file}`);
+    const out = execSync(`bash -c 'source ${file}; COMP_WORDS=(vertexhub accounts ""); COMP_CWORD=2; _vertexhub; echo "\${COMPREPLY[*]}"'`, { encoding: 'utf-8' }).trim();
+    if (out !== 'add list remove verify disable enable') throw new Error(`unexpected: ${out}`);
+    const script = readFileSync(file, 'utf-8');
+    for (const cmd of ['start', 'ping', 'models', 'completion']) {
+        if (!script.includes(` ${cmd} `)) throw new Error(`${cmd} missing from the command list`);
+    }
+});
+
+test('completion zsh and fish cover commands and flags', () => {
+    const zsh = run('completion zsh', OPTS_ENV);
+    const fish = run('completion fish', OPTS_ENV);
+    if (!zsh.startsWith('#compdef vertexhub') || !zsh.includes("'accounts:Manage linked Google accounts'")) throw new Error('zsh script incomplete');
+    if (!fish.includes("__fish_seen_subcommand_from start' -l daemon")) throw new Error('fish script incomplete');
+});
+
+test('completion rejects unknown shells and --models stays quiet without a proxy', () => {
+    if (runExitCode('completion tcsh', OPTS_ENV) !== 1) throw new Error('tcsh accepted');
+    const out = run('completion --models', OPTS_ENV);
+    if (out !== '') throw new Error(`unexpected output: ${out}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 28: PROJECT CONFIG ━━━');
+// =========================================
+
+const PROJECT_DIR = mkdtempSync(join(tmpdir(), 'vertexhub-project-'));
+mkdirSync(join(PROJECT_DIR, 'src', 'deep'), { recursive: true });
+writeFileSync(join(PROJECT_DIR, '.vertexhub.json'), JSON.stringify({
+    profile: 'fast', models: { subagent: 'claude-opus-4-6-thinking' }, env: { PROJECT_FLAG: '1' }, port: 19541, claudeArgs: ['--verbose'],
+}));
+
+test('The nearest .vertexhub.json is found and layered between env and the config file', () => {
+    const out = runLib(`
+const file = lib.findProjectConfig(${JSON.stringify(join(PROJECT_DIR, 'src', 'deep'))});
+const project = lib.loadProjectConfig(file);
+const { values, sources } = lib.resolveConfig({}, { project });
+console.log(file === ${JSON.stringify(join(PROJECT_DIR, '.vertexhub.json'))}, values['models.main'], values['models.subagent'], values.port, sources.port);
+console.log(lib.resolveConfig({ port: '19542' }, { project }).values.port);`);
+    if (out !== 'true claude-sonnet-4-5 claude-opus-4-6-thinking 19541 project\n19542') throw new Error(`unexpected: ${out}`);
+});
+
+test('Invalid project files throw ProjectConfigError', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'vertexhub-project-bad-'));
+    const out = runLib(`
+const { writeFileSync } = await import('fs');
+const file = ${JSON.stringify(join(dir, '.vertexhub.json'))};
+for (const data of [{ colour: 'red' }, { profile: 'nope' }, { models: { main: 'bad id' } }, { env: { ANTHROPIC_BASE_URL: 'x' } }, { claudeArgs: '--x' }]) {
+    writeFileSync(file, JSON.stringify(data));
+    try { lib.loadProjectConfig(file); console.log('accepted'); } catch (e) { console.log(e.code); }
+}`);
+    if (out !== Array(5).fill('PROJECT_CONFIG_INVALID').join('\n')) throw new Error(`unexpected: ${out}`);
+});
+
+test('CLI commands pick up the project file unless --no-project is given', () => {
+    const cmd = (args) => execSync(`node ${CLI} ${args}`, {
+        cwd: join(PROJECT_DIR, 'src'), encoding: 'utf-8', timeout: 15000, env: { ...process.env, ...OPTS_ENV, VERTEXHUB_PORT: '' },
+    }).trim();
+    if (cmd('config get models.main') !== 'claude-sonnet-4-5') throw new Error('project model not applied');
+    if (cmd('--no-project config get models.main') !== 'claude-opus-4-6-thinking') throw new Error('--no-project ignored');
+    const project = JSON.parse(cmd('status --json')).project;
+    if (project?.profile !== 'fast' || project.env[0] !== 'PROJECT_FLAG' || project.port !== 19541) throw new Error(`unexpected: ${JSON.stringify(project)}`);
+});
+
+// =========================================
+console.log('\n━━━ TEST 29: ISOLATED MODE ━━━');
+// =========================================
+
+test('prepareIsolatedClaudeConfig writes only its own directory', () => {
+    const dir = join(mkdtempSync(join(tmpdir(), 'vertexhub-isolated-')), 'claude');
+    const out = runLib(`
+const { existsSync, readFileSync, writeFileSync } = await import('fs');
+const before = [lib.getPaths().claudeSettingsFile, lib.getPaths().claudeJsonFile].map(f => existsSync(f) && readFileSync(f, 'utf-8'));
+const config = lib.resolveConfig({ port: '19561' }).values;
+const { env } = lib.prepareIsolatedClaudeConfig({ config, dir: ${JSON.stringify(dir)} });
+const after = [lib.getPaths().claudeSettingsFile, lib.getPaths().claudeJsonFile].map(f => existsSync(f) && readFileSync(f, 'utf-8'));
+const settings = JSON.parse(readFileSync(${JSON.stringify(join(dir, 'settings.json'))}, 'utf-8'));
+const claudeJson = JSON.parse(readFileSync(${JSON.stringify(join(dir, '.claude.json'))}, 'utf-8'));
+console.log(JSON.stringify(before) === JSON.stringify(after), env.CLAUDE_CONFIG_DIR === ${JSON.stringify(dir)}, env.ANTHROPIC_BASE_URL, settings.env.ANTHROPIC_BASE_URL === env.ANTHROPIC_BASE_URL, claudeJson.hasCompletedOnboarding);`);
+    if (out !== 'true true http://127.0.0.1:19561 true true') throw new Error(`unexpected: ${out}`);
+});
+
+test('start --isolated passes the managed env as a settings file, not on the command line', () => {
+    rmSync(join(SETTINGS_DIR, '.claude'), { recursive: true, force: true });
+    const { out } = startWithSettingsStub('--isolated');
+    if (!out.includes('"ANTHROPIC_BASE_URL": "http://127.0.0.1:')) throw new Error('managed env not in the file');
+    if (existsSync(join(SETTINGS_DIR, '.claude', 'settings.json'))) throw new Error('~/.claude written in isolated mode');
+});
+
+test('status --json reports isolated mode from VERTEXHUB_ISOLATED', () => {
+    const doc = JSON.parse(run('status --json', { ...OPTS_ENV, VERTEXHUB_ISOLATED: 'true' }));
+    if (doc.claude?.isolated !== true || !doc.claude.isolatedConfigDir) throw new Error(`unexpected: ${JSON.stringify(doc.claude)}`);
+    const off = JSON.parse(run('status --json', OPTS_ENV));
+    if (off.claude?.isolated !== false) throw new Error('isolated without being asked for');
+});
+
+// =========================================
+console.log('\n━━━ TEST 30: PORT CONFLICTS ━━━');
+// =========================================
+
+test('identifyPortOwner tells a plain listener from the proxy', () => {
+    const out = runLib(`
+const { createServer } = await import('net');
+const { createMockProxy } = await import(${JSON.stringify(join(LIB, '..', 'mock-proxy.js'))});
+const listen = (server, port) => new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+const plain = createServer();
+const mock = createMockProxy();
+await listen(plain, 0);
+await listen(mock, 0);
+const [plainPort, mockPort, freePort] = [plain.address().port, mock.address().port, ${freePort()}];
+const values = lib.resolveConfig().values;
+const other = await lib.identifyPortOwner({ config: { ...values, port: String(plainPort) }, timeout: 500 });
+const proxy = await lib.identifyPortOwner({ config: { ...values, port: String(mockPort) } });
+const free = await lib.identifyPortOwner({ config: { ...values, port: String(freePort) } });
+console.log(other.free, other.proxy, other.processes.some(p => p.pid === process.pid), proxy.proxy, proxy.health.status, free.free);
+console.log(await lib.findFreePort({ from: freePort }) === String(freePort), Number(await lib.findFreePort({ from: freePort, exclude: [String(freePort)] })) > freePort);
+plain.close();
+mock.close();`);
+    if (out !== 'false false true true ok true\ntrue true') throw new Error(`unexpected: ${out}`);
+});
+
+test('start refuses to take a port held by another program', () => {
+    const { dir: home, env } = makeSandbox();
+    const holder = spawn(process.execPath, ['-e', `require('net').createServer().listen(${env.VERTEXHUB_PORT}, '127.0.0.1')`], { stdio: 'ignore' });
+    try {
+        execSync('sleep 0.5');
+        const out = run('start --daemon --mock', env);
+        if (!out.includes(`PID ${holder.pid}`) || !out.includes('--auto-port')) throw new Error(`unexpected: ${out}`);
+        if (runExitCode('start --daemon --mock', env) !== 1) throw new Error('expected exit 1');
+        process.kill(holder.pid, 0); // throws if start killed it
+        if (existsSync(join(home, '.claude', 'settings.json'))) throw new Error('settings written for a failed start');
+    } finally {
+        holder.kill();
+    }
+});
+
+test('start --auto-port keeps the fallback port out of ~/.claude/settings.json', () => {
+    const { dir: home, env } = makeSandbox({ claudeScript: '#!/bin/sh\n[ "$1" = --settings ] && cat "$2"\n' });
+    const holder = spawn(process.execPath, ['-e', `require('net').createServer().listen(${env.VERTEXHUB_PORT}, '127.0.0.1')`], { stdio: 'ignore' });
+    try {
+        execSync('sleep 0.5');
+        const out = run('start --mock --auto-port < /dev/null', env);
+        const port = out.match(/using port (\d+) for this session/)?.[1];
+        if (!port) throw new Error(`no fallback port: ${out.slice(-300)}`);
+        if (!out.includes(`"ANTHROPIC_BASE_URL": "http://127.0.0.1:${port}"`)) throw new Error('session settings miss the fallback port');
+        const settings = JSON.parse(readFileSync(join(home, '.claude', 'settings.json'), 'utf-8'));
+        if (settings.env.ANTHROPIC_BASE_URL !== `http://127.0.0.1:${env.VERTEXHUB_PORT}`) throw new Error(`settings.json got ${settings.env.ANTHROPIC_BASE_URL}`);
+        if (existsSync(join(home, 'config', 'config.json')) && readFileSync(join(home, 'config', 'config.json'), 'utf-8').includes(port)) throw new Error('fallback port saved');
+    } finally {
+        holder.kill();
+    }
+});
+
+// =========================================
+console.log('\n━━━ TEST 31: ACCOUNT MANAGEMENT ━━━');
+// =========================================
+
+const { dir: ACCOUNTS_HOME, env: ACCOUNTS_ENV } = makeSandbox({ port: 1 });
+const ACCOUNTS_FILE = join(ACCOUNTS_HOME, '.config', 'antigravity-proxy', 'accounts.json');
+// A store as antigravity-proxy 2.x writes it (saveAccounts in src/account-manager/storage.js)
+const proxyAccount = (email, fields = {}) => ({
+    email,
+    source: 'oauth',
+    enabled: true,
+    dbPath: null,
+    refreshToken: `secret-${email[0]}`,
+    projectId: 'fluent-cursor-x1y2z',
+    addedAt: '2026-09-01T10:00:00.000Z',
+    isInvalid: false,
+    invalidReason: null,
+    modelRateLimits: {},
+    lastUsed: 1760000000000,
+    subscription: { tier: 'free', projectId: 'fluent-cursor-x1y2z', detectedAt: 1760000000000 },
+    quota: { models: {}, lastChecked: null },
+    ...fields,
+});
+const ACCOUNTS_STORE = {
+    accounts: [
+        proxyAccount('alice@example.com'),
+        proxyAccount('bob@example.com', { isInvalid: true, invalidReason: 'invalid_grant' }),
+        proxyAccount('carol@example.com'),
+    ],
+    settings: { maxRetries: 5 },
+    activeIndex: 2,
+};
+mkdirSync(join(ACCOUNTS_HOME, '.config', 'antigravity-proxy'), { recursive: true });
+writeFileSync(ACCOUNTS_FILE, JSON.stringify(ACCOUNTS_STORE, null, 2));
+
+test('accounts list --json reads the store while the proxy is stopped', () => {
+    const doc = JSON.parse(run('accounts list --json', ACCOUNTS_ENV));
+    if (doc.proxyRunning !== false || doc.accounts?.length !== 3) throw new Error(`unexpected: ${JSON.stringify(doc)}`);
+    const bob = doc.accounts.find(acc => acc.email === 'bob@example.com');
+    if (!bob.invalid || bob.invalidReason !== 'invalid_grant' || bob.status !== null) throw new Error(`unexpected: ${JSON.stringify(bob)}`);
+    if (JSON.stringify(doc).includes('secret')) throw new Error('refresh token leaked');
+});
+
+test('accounts disable/enable toggle one account and keep the rest of the store', () => {
+    if (runExitCode('accounts disable ALICE@example.com', ACCOUNTS_ENV) !== 0) throw new Error('disable failed');
+    let store = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    if (store.accounts[0].enabled !== false || store.accounts[0].refreshToken !== 'secret-a') throw new Error('disable not stored');
+    if (JSON.stringify(store.accounts[2]) !== JSON.stringify(ACCOUNTS_STORE.accounts[2])) throw new Error('other account changed');
+    if (JSON.stringify(store.settings) !== JSON.stringify(ACCOUNTS_STORE.settings)) throw new Error('settings changed');
+    run('accounts enable alice@example.com', ACCOUNTS_ENV);
+    store = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    if (store.accounts[0].enabled !== true) throw new Error('enable not stored');
+});
+
+test('accounts remove unlinks one account and keeps the active one', () => {
+    const out = run('accounts remove bob@example.com', ACCOUNTS_ENV);
+    if (!out.includes('Removed account bob@example.com')) throw new Error(`unexpected: ${out}`);
+    const store = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    if (store.accounts.map(acc => acc.email).join() !== 'alice@example.com,carol@example.com') throw new Error('wrong accounts left');
+    if (store.activeIndex !== 1) throw new Error(`activeIndex ${store.activeIndex}, expected 1`);
+});
+
+test('The library refuses account changes while the proxy runs', () => {
+    const out = runLib(`
+process.env.HOME = ${JSON.stringify(ACCOUNTS_HOME)};
+const { readFileSync } = await import('fs');
+const { createMockProxy } = await import(${JSON.stringify(join(LIB, '..', 'mock-proxy.js'))});
+const before = readFileSync(lib.getAccountsFile(), 'utf-8');
+const mock = createMockProxy();
+await new Promise(r => mock.listen(0, '127.0.0.1', r));
+const config = { ...lib.resolveConfig().values, port: String(mock.address().port) };
+try { await lib.setAccountEnabled('alice@example.com', false, { config }); } catch (e) { console.log(e instanceof lib.ProxyRunningError, e.code); }
+try { await lib.removeAccount('alice@example.com', { config }); } catch (e) { console.log(e.code); }
+console.log(readFileSync(lib.getAccountsFile(), 'utf-8') === before);
+mock.close();`);
+    if (out !== 'true PROXY_RUNNING\nPROXY_RUNNING\ntrue') throw new Error(`unexpected: ${out}`);
+});
+
+test('accounts subcommands validate their email argument', () => {
+    for (const args of ['accounts remove', 'accounts remove not-an-email', 'accounts disable a@example.com b@example.com', 'accounts enable nobody@example.com', 'accounts list extra']) {
+        if (runExitCode(args, ACCOUNTS_ENV) !== 1) throw new Error(`${args}: expected exit 1`);
+    }
+    const data = JSON.parse(run('accounts list --json', { ...ACCOUNTS_ENV, HOME: join(ACCOUNTS_HOME, 'missing') }));
+    if (!Array.isArray(data.accounts) || data.accounts.length !== 0) throw new Error('missing store should list no accounts');
+});
+
+test('accounts changes restart a running proxy', () => {
+    const env = { ...ACCOUNTS_ENV, VERTEXHUB_PORT: freePort() };
+    run('start --daemon --mock', env);
+    try {
+        const before = JSON.parse(run('status --json', env)).proxy.pid;
+        const out = run('accounts disable carol@example.com', env);
+        const after = JSON.parse(run('status --json', env)).proxy;
+        if (!out.includes('Stopping proxy') || !after.running || after.pid === before || !after.mock) throw new Error(`unexpected: ${out}`);
+        if (runExitCode('accounts verify mock-account@example.com', env) !== 0) throw new Error('verify failed');
+    } finally {
+        run('stop', env);
+    }
+});
+
+test('accounts changes refuse to stop the proxy of a running start session', () => {
+    // The session's claude runs the command while its supervisor watches the proxy
+    const { dir, env } = makeSandbox({
+        claudeScript: `#!/bin/sh\nnode ${CLI} accounts disable carol@example.com\necho "exit=$?"\n`,
+    });
+    const file = join(dir, '.config', 'antigravity-proxy', 'accounts.json');
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(ACCOUNTS_STORE, null, 2));
+    const out = run('start --mock < /dev/null', env);
+    if (!out.includes('belongs to a running start session') || !out.includes('exit=1')) throw new Error(`unexpected: ${out.slice(-400)}`);
+    if (out.includes('Stopping proxy')) throw new Error('session proxy stopped');
+    if (readFileSync(file, 'utf-8') !== JSON.stringify(ACCOUNTS_STORE, null, 2)) throw new Error('store changed');
+});
+
+// =========================================
+console.log('\n━━━ TEST 32: STRATEGY ━━━');
+// =========================================
+
+test('sanitizeStrategy accepts the proxy strategies and default only', () => {
+    const out = runLib(`console.log(['sticky', ' Round-Robin ', 'hybrid', 'default', 'random', ''].map(v => lib.sanitizeStrategy(v)).join());`);
+    if (out !== 'sticky,round-robin,hybrid,default,,') throw new Error(`unexpected: ${out}`);
+});
+
+test('strategy <name> saves the choice and rejects unknown names', () => {
+    const { dir: home, env } = makeSandbox({ port: 1 });
+    if (runExitCode('strategy random', env) !== 1) throw new Error('unknown strategy accepted');
+    run('strategy round-robin', env);
+    const saved = JSON.parse(readFileSync(join(home, 'config', 'config.json'), 'utf-8'));
+    if (saved.strategy !== 'round-robin') throw new Error(`saved: ${saved.strategy}`);
+    const doc = JSON.parse(run('strategy --json', env));
+    if (doc.configured !== 'round-robin' || doc.source !== 'file' || doc.active !== null) throw new Error(`unexpected: ${JSON.stringify(doc)}`);
+    if (!doc.strategies.some(s => s.name === 'sticky')) throw new Error('strategies missing');
+});
+
+test('strategy <name> restarts a background proxy with the new strategy', () => {
+    const { env } = makeSandbox();
+    run('start --daemon --mock', env);
+    try {
+        run('strategy hybrid', env);
+        const doc = JSON.parse(run('strategy --json', env));
+        if (doc.active !== 'hybrid') throw new Error(`proxy reports ${doc.active}`);
+    } finally {
+        run('stop', env);
+    }
+});
+
+// =========================================
+console.log('\n━━━ TEST 33: HOOKS ━━━');
+// =========================================
+
+test('runHook passes the event as JSON on stdin and reports the exit code', () => {
+    const out = runLib(`
+const config = { ...lib.resolveConfig().values, 'hooks.session-ended': 'read line; echo "$VERTEXHUB_EVENT $line" >&2; exit 3' };
+const result = await lib.runHook('session-ended', { exitCode: 0 }, { config });
+const none = await lib.runHook('proxy-started', {}, { config });
+const log = (await import('fs')).readFileSync(lib.getInstancePaths().logFile, 'utf-8');
+console.log(result.code, result.timedOut, none, log.includes('Hook session-ended> session-ended {"event":"session-ended"'));`);
+    if (out !== '3 false null true') throw new Error(`unexpected: ${out}`);
+});
+
+test('runHook kills a hook that outlives hooks.timeoutSeconds', () => {
+    const out = runLib(`
+const config = { ...lib.resolveConfig().values, 'hooks.proxy-crashed': 'sleep 30', 'hooks.timeoutSeconds': '1' };
+const result = await lib.runHook('proxy-crashed', {}, { config });
+console.log(result.timedOut, result.signal, result.durationMs < 5000);`);
+    if (out !== 'true SIGTERM true') throw new Error(`unexpected: ${out}`);
+});
+
+test('start fires session and quota hooks with their details', () => {
+    const { dir: home, env } = makeSandbox({ claudeScript: '#!/bin/sh\nsleep 1\nexit 4\n' });
+    const events = join(home, 'events.jsonl');
+    const hook = `cat >> ${events}`;
+    mkdirSync(join(home, 'config'));
+    writeFileSync(join(home, 'fixture.json'), JSON.stringify({
+        accountLimits: { accounts: [{ email: 'low@example.com', limits: { 'claude-sonnet-4-5': { remainingFraction: 0.05 }, 'claude-opus-4-6-thinking': { remainingFraction: 0.5 } } }] },
+    }));
+    writeFileSync(join(home, 'config', 'config.json'), JSON.stringify({
+        hooks: { 'session-started': hook, 'session-ended': hook, 'quota-below-threshold': hook, 'proxy-started': hook },
+    }));
+    run(`start --fixture ${join(home, 'fixture.json')} < /dev/null`, env);
+    const received = readFileSync(events, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    const byEvent = Object.fromEntries(received.map(e => [e.event, e]));
+    if (!byEvent['proxy-started']?.mock || !byEvent['session-started']?.pid) throw new Error(`missing start events: ${JSON.stringify(received)}`);
+    if (byEvent['session-ended']?.exitCode !== 4 || !(byEvent['session-ended'].durationMs >= 1000)) throw new Error('session-ended details wrong');
+    const quota = received.filter(e => e.event === 'quota-below-threshold');
+    if (quota.length !== 1 || quota[0].model !== 'claude-sonnet-4-5' || quota[0].account !== 'low@example.com') throw new Error(`quota events: ${JSON.stringify(quota)}`);
 });
 
 // =========================================